@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+import { closeSync, createReadStream, existsSync, fstatSync, openSync, readdirSync, readSync, statSync } from "fs";
+import { once } from "events";
+import { basename, dirname, join } from "path";
+import { createInterface } from "readline";
+import { parseArgs } from "util";
+import { createGunzip } from "zlib";
+import { textFormatter } from "../src/index.js";
+
+const usage = `Usage: easy-node-logging view [options] [files...]
+
+Pretty-prints JSON style logs of the given files, or of stdin if no files are given.
+Rotated files like app.log.1 and app.log.2.gz are read before the file itself, oldest first.
+
+Options:
+  -l, --level <level>        only show entries at or above the level
+  -c, --component <pattern>  only show entries of matching loggers, like NETWORK or USERS/*, repeatable
+      --since <time>         only show entries logged at or after the time, like 2024-05-01T12:00:00Z or 15m, 2h, 1d ago
+      --until <time>         only show entries logged before the time
+  -g, --grep <text>          only show entries containing the text
+  -e, --regex <pattern>      only show entries matching the regular expression
+  -f, --follow               keep reading lines appended to the files
+      --json                 print matching entries as JSON instead of text
+      --full-timestamps      print the date in text output
+      --color, --no-color    force colors on or off, defaults to whether stdout is a terminal
+      --no-rotated           do not read rotated files
+  -h, --help                 print this help`;
+
+const levelNums = { FATAL: 1, ERROR: 2, WARN: 3, INFO: 4, DEBUG: 5, TRACE: 6 };
+
+let args;
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            "level": { type: "string", short: "l" },
+            "component": { type: "string", short: "c", multiple: true },
+            "since": { type: "string" },
+            "until": { type: "string" },
+            "grep": { type: "string", short: "g" },
+            "regex": { type: "string", short: "e" },
+            "follow": { type: "boolean", short: "f" },
+            "json": { type: "boolean" },
+            "full-timestamps": { type: "boolean" },
+            "color": { type: "boolean" },
+            "no-color": { type: "boolean" },
+            "no-rotated": { type: "boolean" },
+            "help": { type: "boolean", short: "h" }
+        }
+    });
+} catch (e) {
+    fail(e.message);
+}
+
+const [command, ...files] = args.positionals;
+if (args.values.help) {
+    console.log(usage);
+    process.exit(0);
+}
+if (command !== "view")
+    fail(command === undefined ? "Missing command" : `Unknown command '${command}'`);
+
+const options = args.values;
+let filter;
+try {
+    filter = {
+        level: options.level === undefined ? null : levelNum(options.level),
+        components: options.component?.map(componentRegex) ?? null,
+        since: options.since === undefined ? -Infinity : parseTime(options.since, "since"),
+        until: options.until === undefined ? Infinity : parseTime(options.until, "until"),
+        text: options.grep ?? null,
+        regex: options.regex === undefined ? null : new RegExp(options.regex)
+    };
+} catch (e) {
+    fail(e.message);
+}
+const filtersEntries = filter.level !== null || filter.components !== null || options.since !== undefined || options.until !== undefined;
+
+const color = options["no-color"] ? false : options.color || (process.stdout.isTTY ?? false);
+const formatter = textFormatter();
+const formatOptions = {
+    color,
+    uniform: false,
+    fullTimestamps: options["full-timestamps"] ?? false,
+    maxSourceLength: 0,
+    sourceColor: v => v,
+    errors: { maxDepth: 10, structuredStack: false }
+};
+
+process.stdout.on("error", e => {
+    if (e.code === "EPIPE")
+        process.exit(0);
+    throw e;
+});
+
+try {
+    if (!files.length) {
+        await readLines(process.stdin);
+    } else {
+        const followed = [];
+        for (const file of files) {
+            if (!existsSync(file))
+                throw new Error(`No such file: ${file}`);
+            if (!options["no-rotated"]) {
+                for (const rotated of rotatedFiles(file))
+                    await readLines(rotated.endsWith(".gz") ? createReadStream(rotated).pipe(createGunzip()) : createReadStream(rotated));
+            }
+            const position = statSync(file).size;
+            if (position)
+                await readLines(createReadStream(file, { end: position - 1 }));
+            followed.push({ file, position, ino: statSync(file).ino, rest: "" });
+        }
+        if (options.follow)
+            follow(followed);
+    }
+} catch (e) {
+    console.error(`easy-node-logging: ${e.message}`);
+    process.exit(1);
+}
+
+function fail(message) {
+    console.error(`easy-node-logging: ${message}\n\n${usage}`);
+    process.exit(2);
+}
+
+function levelNum(level) {
+    const num = levelNums[level.toUpperCase()];
+    if (num === undefined)
+        throw new Error(`log level must be one of 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'. Received ${level} instead`);
+    return num;
+}
+
+function componentRegex(pattern) {
+    const escaped = pattern.split("*").map(v => v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    return new RegExp("^" + escaped.join(".*") + "$");
+}
+
+/**
+ * Parses a date, or a duration like `15m` before now
+ * @param {string} time
+ * @param {string} name
+ */
+function parseTime(time, name) {
+    const relative = time.match(/^(\d+)(ms|s|m|h|d)$/);
+    if (relative) {
+        const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+        return Date.now() - relative[1] * units[relative[2]];
+    }
+    const timestamp = Date.parse(time);
+    if (Number.isNaN(timestamp))
+        throw new Error(`Expected ${name} to be a date or a duration like 15m, but received '${time}' instead`);
+    return timestamp;
+}
+
+/**
+ * Returns the rotated files of a log file, oldest first
+ * @param {string} file
+ */
+function rotatedFiles(file) {
+    const name = basename(file);
+    const pattern = new RegExp("^" + name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "\\.(\\d+)(\\.gz)?$");
+    return readdirSync(dirname(file))
+        .map(v => ({ name: v, match: v.match(pattern) }))
+        .filter(v => v.match)
+        .sort((a, b) => b.match[1] - a.match[1])
+        .map(v => join(dirname(file), v.name));
+}
+
+/**
+ * @param {import("stream").Readable} input
+ */
+async function readLines(input) {
+    for await (const line of createInterface({ input, crlfDelay: Infinity }))
+        await print(line);
+}
+
+/**
+ * Polls the files for appended lines. Files that were truncated are read from the start.
+ * Like `tail -F`, the descriptor of a file replaced by a rotation is read to its end before the new file is opened
+ * @param {{ file: string, position: number, ino: number, rest: string }[]} followed
+ */
+function follow(followed) {
+    for (const state of followed) {
+        state.fd = openSync(state.file, "r");
+        const { ino } = fstatSync(state.fd);
+        if (ino !== state.ino) {
+            // the file was rotated since it was read
+            state.ino = ino;
+            state.position = 0;
+        }
+    }
+    let reading = false;
+    setInterval(async () => {
+        if (reading)
+            return;
+        reading = true;
+        try {
+            for (const state of followed) {
+                for (const line of readAppended(state))
+                    await print(line);
+
+                const fd = reopen(state);
+                if (fd === null)
+                    continue;
+                closeSync(state.fd);
+                if (state.rest)
+                    await print(state.rest);
+                state.fd = fd;
+                state.ino = fstatSync(fd).ino;
+                state.position = 0;
+                state.rest = "";
+                for (const line of readAppended(state))
+                    await print(line);
+            }
+        } catch (e) {
+            console.error(`easy-node-logging: ${e.message}`);
+            process.exit(1);
+        } finally {
+            reading = false;
+        }
+    }, 250);
+}
+
+/**
+ * Reads the lines appended to the open descriptor of a followed file
+ * @param {{ fd: number, position: number, rest: string }} state
+ * @returns {string[]} the complete lines, a trailing partial line is kept until it is completed
+ */
+function readAppended(state) {
+    const { size } = fstatSync(state.fd);
+    if (size < state.position) {
+        // the file was truncated
+        state.position = 0;
+        state.rest = "";
+    }
+    if (size === state.position)
+        return [];
+    const buffer = Buffer.alloc(size - state.position);
+    state.position += readSync(state.fd, buffer, 0, buffer.length, state.position);
+    const lines = (state.rest + buffer.toString()).split("\n");
+    state.rest = lines.pop();
+    return lines;
+}
+
+/**
+ * Opens the file at the path of a followed file, if it was replaced by a rotation
+ * @param {{ file: string, ino: number }} state
+ * @returns {number?} the descriptor of the new file
+ */
+function reopen(state) {
+    try {
+        if (statSync(state.file).ino === state.ino)
+            return null;
+        return openSync(state.file, "r");
+    } catch (e) {
+        // the file is being rotated
+        if (e.code === "ENOENT")
+            return null;
+        throw e;
+    }
+}
+
+/**
+ * @param {string} line
+ */
+async function print(line) {
+    if (!line.trim())
+        return;
+
+    let entry = null;
+    try {
+        entry = parseEntry(JSON.parse(line));
+    } catch {
+        // not written by a JSON style target
+    }
+
+    let output;
+    if (entry) {
+        if (!matches(entry))
+            return;
+        const text = formatter.format(entry, { ...formatOptions, color: false });
+        if (!matchesText(text))
+            return;
+        output = options.json ? line : color ? formatter.format(entry, formatOptions) : text;
+    } else {
+        if (filtersEntries || !matchesText(line))
+            return;
+        output = line;
+    }
+
+    if (!process.stdout.write(output + "\n"))
+        await once(process.stdout, "drain");
+}
+
+/**
+ * Converts a line of a JSON style target back to an entry
+ * @param {any} object
+ * @returns {import("../src/index.js").LogEntry?}
+ */
+function parseEntry(object) {
+    if (typeof object !== "object" || object === null || typeof object.level !== "string" || !Array.isArray(object.msg))
+        return null;
+    // message holds the interpolated msg, which the formatter renders again
+    const { timestamp, level, component, source, msg, message, durationMs, ...context } = object;
+    return {
+        timestamp: Date.parse(timestamp),
+        level,
+        component: component ?? "",
+        source: source ?? null,
+        messages: msg.map(reviveError),
+        context,
+        duration: typeof durationMs === "number" ? durationMs : null
+    };
+}
+
+/**
+ * Restores errors serialized by JSON style targets, so they are printed with their stack
+ * @param {any} value
+ */
+function reviveError(value) {
+    if (typeof value !== "object" || value === null || typeof value.name !== "string" || typeof value.message !== "string" || !("stack" in value))
+        return value;
+    const { name, message, stack, cause, errors, ...properties } = value;
+    const error = Object.assign(new Error(message), properties);
+    Object.defineProperty(error, "name", { value: name, writable: true, configurable: true });
+    error.stack = Array.isArray(stack)
+        ? [`${name}: ${message}`, ...stack.map(v => `    at ${v.function ? `${v.function} (${v.file}:${v.line}:${v.column})` : `${v.file}:${v.line}:${v.column}`}`)].join("\n")
+        : stack;
+    if ("cause" in value)
+        error.cause = reviveError(cause);
+    if (Array.isArray(errors))
+        error.errors = errors.map(reviveError);
+    return error;
+}
+
+/**
+ * @param {import("../src/index.js").LogEntry} entry
+ */
+function matches(entry) {
+    if (filter.level !== null && !(levelNums[entry.level] <= filter.level))
+        return false;
+    if (filter.components && !filter.components.some(v => v.test(entry.component) || (entry.source !== null && v.test(entry.component + "/" + entry.source))))
+        return false;
+    if (entry.timestamp < filter.since || entry.timestamp >= filter.until)
+        return false;
+    return true;
+}
+
+function matchesText(text) {
+    if (filter.text !== null && !text.includes(filter.text))
+        return false;
+    if (filter.regex && !filter.regex.test(text))
+        return false;
+    return true;
+}
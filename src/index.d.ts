@@ -1,6 +1,6 @@
 
 export class Logger {
-    constructor(component: string, source: string?, color: Function, manager: LoggerFactory);
+    constructor(component: string, source: string?, color: Function, manager: LoggerFactory, context?: Record<string, any>);
 
     /**
      * The specified source of the Logger
@@ -18,50 +18,100 @@ export class Logger {
      * The factory that instantiated this Logger
      */
     private manager: LoggerFactory;
+    /**
+     * The fields bound to this Logger, which are added to every entry
+     */
+    public context: Record<string, any>;
+
+    /**
+     * Returns a new Logger with the same component and source, whose entries additionally contain the given fields.
+     * Fields of this Logger are inherited, unless overridden by the given fields.
+     * In JSON style logs, fields are added as top-level keys, in text style logs they are written as `key=value` before the message
+     * @param fields The fields to bind to the child
+     */
+    public child(fields: Record<string, any>): Logger;
 
     /**
      * Logs a TRACE level message
-     * @param messages The objects to log
+     * @param messages The objects to log. A leading string may contain `util.format` placeholders, values wrapped by {@link lazy} are only evaluated if a target writes the entry
      */
     public trace(...messages: any[]): Promise<any>;
     /**
      * Logs a DEBUG level message
-     * @param messages The objects to log
+     * @param messages The objects to log. A leading string may contain `util.format` placeholders, values wrapped by {@link lazy} are only evaluated if a target writes the entry
      */
     public debug(...messages: any[]): Promise<any>;
     /**
      * Logs a INFO level message
-     * @param messages The objects to log
+     * @param messages The objects to log. A leading string may contain `util.format` placeholders, values wrapped by {@link lazy} are only evaluated if a target writes the entry
      */
     public info(...messages: any[]): Promise<any>;
     /**
      * Logs a WARN level message
-     * @param messages The objects to log
+     * @param messages The objects to log. A leading string may contain `util.format` placeholders, values wrapped by {@link lazy} are only evaluated if a target writes the entry
      */
     public warn(...messages: any[]): Promise<any>;
     /**
      * Logs a ERROR level message
-     * @param messages The objects to log
+     * @param messages The objects to log. A leading string may contain `util.format` placeholders, values wrapped by {@link lazy} are only evaluated if a target writes the entry
      */
     public error(...messages: any[]): Promise<any>;
     /**
      * Logs a FATAL level message
-     * @param messages The objects to log
+     * @param messages The objects to log. A leading string may contain `util.format` placeholders, values wrapped by {@link lazy} are only evaluated if a target writes the entry
      */
     public fatal(...messages: any[]): Promise<any>;
+    /**
+     * Whether any target would write an entry of this Logger at the level, to skip preparing expensive messages
+     * @param level The level to check
+     */
+    public isLevelEnabled(level: LogLevel): boolean;
+    /**
+     * Logs a FATAL level message to the targets with `sync: true` and to MEMORY targets only, which are written before this function returns.
+     * Use this right before exiting the process. Failures are handled by the error policies of the targets, but are never thrown
+     * @param messages The objects to log
+     */
+    public fatalSync(...messages: any[]): void;
+    /**
+     * Starts a timer. Like `console.time`, a timer with the label that is already running keeps its start time and a warning is emitted
+     * @param label The label of the timer
+     */
+    public time(label: string): void;
+    /**
+     * Logs the label of a timer started with {@link Logger.time} with its duration.
+     * JSON style logs contain the duration in ms as `durationMs`, text style logs append it to the message like `(12.34ms)`
+     * @param label The label of the timer
+     * @param level The level to log at, defaults to INFO
+     */
+    public timeEnd(label: string, level?: LogLevel): Promise<any>;
+    /**
+     * Starts a timer and returns a function logging its duration like {@link Logger.timeEnd}
+     * @returns A function logging the duration. `fields.message` and `fields.level` set the message and level of the entry, defaulting to `"Timer finished"` and INFO, the remaining fields are added to the entry
+     */
+    public startTimer(): (fields?: { message?: string, level?: LogLevel, [field: string]: any }) => Promise<any>;
 }
 
 /**
  * A factory for creating Logger objects bound to a specific target.
- * You should not create these objects yourself, refer to {@link createLoggerFactory} instead
+ * You should not create these objects yourself, refer to {@link createLoggerFactory} instead.
+ *
+ * Emits these events:
+ * - `error` with the error and a {@link TargetEvent} whenever writing to a target fails, only if there are listeners
+ * - `drop` with a {@link TargetEvent} and `reason` whenever a target drops an entry because of sampling, deduplication, rate limits, a full queue or because the factory is closing
+ * - `targetDown` with a {@link TargetEvent} and `error` when a target fails after writing successfully
+ * - `targetUp` with a {@link TargetEvent} when a failed target writes successfully again
  */
-export class LoggerFactory {
+export class LoggerFactory extends import("events").EventEmitter {
     constructor(targets: ParsedTarget[])
 
     /**
      * Whether this factory has been destroyed
      */
     public destroyed: boolean;
+    /**
+     * Whether {@link LoggerFactory.close} has been called on this factory
+     */
+    public closing: boolean;
     /**
      * The targets used for the Loggers
      */
@@ -78,35 +128,403 @@ export class LoggerFactory {
      * @param sourceColor The color used to color the source, if color is enabled
      */
     public createLogger(component: string, source?: string, sourceColor?: string | number | number[]): Logger;
+    /**
+     * Returns the entries buffered by a MEMORY target
+     * @param target The index or name of the MEMORY target, defaults to the first one
+     */
+    public getMemory(target?: number | string): MemoryBuffer;
+    /**
+     * Returns the counters of every target, in the order of the targets. Counters start when the targets are created, {@link LoggerFactory.reconfigure} starts new ones
+     */
+    public stats(): TargetStats[];
+    /**
+     * Runs a function with fields that are added to every entry logged by Loggers of this factory within the function's async scope.
+     * Nested calls merge their fields, and fields bound to a Logger with {@link Logger.child} take precedence
+     * @param fields The fields to add to every entry
+     * @param fn The function to run
+     * @param args The arguments to call the function with
+     * @returns The return value of the function
+     */
+    public runWithContext<R, A extends any[]>(fields: Record<string, any>, fn: (...args: A) => R, ...args: A): R;
+    /**
+     * Changes the level of targets at runtime.
+     * If a component pattern is given, the level only applies to matching Loggers and takes precedence over the target level.
+     * If multiple patterns match a Logger, the most recently set one is used
+     * @param level The new level
+     * @param options.target The index or name of the target to change, all targets are changed if omitted
+     * @param options.component A pattern like `NETWORK` or `USERS/*` matching the component or `component/source` of Loggers
+     */
+    public setLevel(level: LogLevel, options?: { target?: number | string, component?: string }): void
+    /**
+     * Replaces the targets of this factory. Existing Loggers keep working and write to the new targets.
+     * The previous targets are closed once everything pending was written to them.
+     * If the new targets are invalid, this throws and the previous targets stay active
+     * @param targets The new targets
+     * @param options The new factory options
+     * @returns A promise that resolves once the previous targets are closed
+     */
+    public reconfigure(targets: Target[] | Target, options?: FactoryOptions): Promise<void>
     /**
      * Destroys the logger factory and all loggers created by it.
      * If any logger from this factory attempts to log after it has been destroyed, it will throw.
      * This action is destructive and immediate, if any logs have not yet been written, they will not be written.
+     * Use {@link LoggerFactory.close} to write pending logs first
      */
     public destroy(): void
+    /**
+     * Stops accepting new logs, waits for pending writes and requests to settle, flushes batched entries and then destroys the factory.
+     * Entries logged while the factory is closing are dropped with the reason `CLOSING`, once it is destroyed Loggers throw when used
+     * @param options.timeoutMs The maximum time in ms to wait before destroying the factory anyway
+     * @returns Whether all pending logs were written before the timeout
+     */
+    public close(options?: { timeoutMs?: number }): Promise<boolean>
+    /**
+     * Closes the factory once the process receives one of the signals, then exits with the conventional exit code for the signal.
+     * Also closes the factory on `beforeExit`
+     * @param options.timeoutMs The timeout passed to {@link LoggerFactory.close}, defaults to 5000
+     * @param options.signals The signals to listen for, defaults to SIGINT and SIGTERM
+     * @returns A function that removes the listeners again
+     */
+    public closeOnExit(options?: { timeoutMs?: number, signals?: NodeJS.Signals[] }): () => void
+    /**
+     * Replaces `console.trace`, `debug`, `log`, `info`, `warn` and `error` with functions logging at the matching level, `log` and `info` log INFO entries.
+     * Targets writing to the console, like STDOUT targets, still print as usual, as does console output of targets while they deliver a captured entry, even after an `await`
+     * @param logger The Logger to log with, defaults to a Logger of the component `console`
+     * @returns A function that restores the console methods
+     */
+    public captureConsole(logger?: Logger): () => void
+    /**
+     * Logs uncaught exceptions and unhandled rejections as FATAL entries
+     * @param logger The Logger to log with, defaults to a Logger of the component `process`
+     * @param options.exit Whether to close the factory and exit with code 1 after the first error, defaults to true
+     * @param options.timeoutMs The timeout passed to {@link LoggerFactory.close}, defaults to 5000
+     * @returns A function that removes the listeners again
+     */
+    public captureProcessErrors(logger?: Logger, options?: { exit?: boolean, timeoutMs?: number }): () => void
 }
 
 /**
  * Creates a new instance of LoggerFactory
  * @param targets The targets of the LoggerFactory
+ * @param options Options that apply to all targets
+ */
+export function createLoggerFactory(targets: Target[] | Target, options?: FactoryOptions): LoggerFactory
+
+/**
+ * Wraps a function, so its return value is logged in its place. The function is only called if a target writes the entry,
+ * if it throws, the error is logged instead. Functions passed to a log method without this wrapper are logged as they are
+ * @param fn The function computing the message
+ */
+export function lazy(fn: () => any): LazyValue
+
+/**
+ * A message wrapped by {@link lazy}
+ */
+interface LazyValue {
+    fn: () => any,
+}
+
+/**
+ * Converts an error to a plain object with its name, message, stack and own properties like `code` or `errno`.
+ * The `cause` chain and the `errors` of AggregateErrors are serialized recursively, cycles are replaced by `"[Circular]"`
+ * and errors nested deeper than `maxDepth` by `"[Truncated]"`
+ * @param error The error to serialize
+ * @param options How to serialize the error
+ */
+export function serializeError(error: Error, options?: ErrorOptions): Record<string, any>
+
+/**
+ * Parses a V8 stack trace into frames. Lines that aren't frames, like the message, are skipped
+ * @param stack The stack trace to parse
+ */
+export function parseStack(stack: string): StackFrame[]
+
+interface StackFrame {
+    /**
+     * The name of the function, `null` for anonymous functions and top-level code
+     */
+    function: string | null,
+    file: string,
+    /**
+     * The line number, `null` for native frames
+     */
+    line: number | null,
+    /**
+     * The column number, `null` for native frames
+     */
+    column: number | null,
+}
+
+/**
+ * Controls how logged errors are written
+ */
+interface ErrorOptions {
+    /**
+     * The maximum depth of nested causes and aggregated errors
+     * @default 10
+     */
+    maxDepth?: number,
+    /**
+     * Whether JSON style logs contain the stack as an array of {@link StackFrame | frames} instead of a string
+     * @default false
+     */
+    structuredStack?: boolean,
+}
+
+/**
+ * Creates a formatter for human readable logs. Without options, it formats logs like the "TEXT" style
+ * @param options.template The layout of a line, see {@link TextFormatterOptions.template}
+ * @param options.theme The styles to use per level, merged with the default theme
+ */
+export function textFormatter(options?: TextFormatterOptions): Formatter
+
+interface TextFormatterOptions {
+    /**
+     * The layout of a line. May contain the placeholders `{time}`, `{level}`, `{source}` and `{message}`, which is required.
+     * Brackets directly around a placeholder, like in `[{level}]`, are styled with the bracket style of the placeholder.
+     * If a message spans multiple lines, everything before `{message}` is repeated on each line
+     * @default "[{time}] [{level}] [{source}] {message}"
+     */
+    template?: string,
+    /**
+     * The styles to use per level. Styles are only applied if color is enabled on the target
+     */
+    theme?: Partial<Record<LogLevel, LevelTheme>>,
+}
+
+/**
+ * The styles of a level. A style is either a hex color like `"#FF0000"`, the name of a chalk style like `"yellowBright"`, or a function styling a string.
+ * Set a style to `null` to remove the default style
+ */
+interface LevelTheme {
+    time?: string | ((text: string) => string) | null,
+    timeBracket?: string | ((text: string) => string) | null,
+    level?: string | ((text: string) => string) | null,
+    levelBracket?: string | ((text: string) => string) | null,
+    source?: string | ((text: string) => string) | null,
+    sourceBracket?: string | ((text: string) => string) | null,
+    /**
+     * Applied to everything from the first placeholder other than `{time}` up to `{message}`
+     */
+    header?: string | ((text: string) => string) | null,
+    message?: string | ((text: string) => string) | null,
+}
+
+/**
+ * Turns log entries into the strings written to targets
+ */
+interface Formatter {
+    /**
+     * Whether the formatted entries are JSON, which lets batched POST targets send them as JSON arrays without quoting
+     */
+    json?: boolean,
+    /**
+     * Formats an entry
+     * @param entry The entry to format
+     * @param options The formatting options of the target
+     */
+    format(entry: LogEntry, options: FormatOptions): string,
+}
+
+/**
+ * A single log entry
+ */
+interface LogEntry {
+    /**
+     * The time the entry was logged at, in ms since the epoch
+     */
+    timestamp: number,
+    level: LogLevel,
+    component: string,
+    source: string | null,
+    /**
+     * The objects passed to the log function
+     */
+    messages: any[],
+    /**
+     * The fields of the Logger and of the current context
+     */
+    context: Record<string, any>,
+    /**
+     * The duration in ms measured by {@link Logger.timeEnd} or {@link Logger.startTimer}, null for other entries
+     */
+    duration?: number | null,
+}
+
+/**
+ * The formatting options of a target
+ */
+interface FormatOptions {
+    color: boolean,
+    uniform: boolean,
+    fullTimestamps: boolean,
+    /**
+     * The length of the longest `component/source` of the factory
+     */
+    maxSourceLength: number,
+    /**
+     * The function coloring the source of the Logger
+     */
+    sourceColor: (text: string) => string,
+    errors: Required<ErrorOptions>,
+}
+
+/**
+ * Creates a new instance of LoggerFactory from a JSON file containing either an array of targets or an object `{ targets, options }`.
+ * In strings, `${NAME}` is replaced by the environment variable NAME, and `${NAME:-default}` falls back to default if NAME is not set
+ * @param path The path of the config file. If path is a string, ~/ will reference the user home directory
+ * @param options.watch Whether to {@link LoggerFactory.reconfigure | reconfigure} the factory when the file changes
+ * @param options.interval How often to check the file for changes in ms, defaults to 1000
+ * @param options.onReload Called after every reload, with the error if the changed config was invalid.
+ * If omitted, errors are logged to the previous targets, which stay active
+ */
+export function createLoggerFactoryFromConfig(path: import("fs").PathLike, options?: { watch?: boolean, interval?: number, onReload?: (error: Error | null) => void }): LoggerFactory
+
+/**
+ * Identifies the target an event of a {@link LoggerFactory} refers to
+ */
+interface TargetEvent {
+    /**
+     * The index of the target, or -1 if it was replaced by {@link LoggerFactory.reconfigure}
+     */
+    target: number,
+    name: string | null,
+}
+
+/**
+ * The counters of a target
+ */
+interface TargetStats {
+    /**
+     * The index of the target
+     */
+    target: number,
+    name: string | null,
+    /**
+     * The number of entries written successfully
+     */
+    written: number,
+    /**
+     * The number of bytes of the formatted entries written successfully
+     */
+    bytes: number,
+    /**
+     * The number of entries that could not be written
+     */
+    failures: number,
+    /**
+     * The number of entries dropped by sampling, deduplication, rate limits or a full queue
+     */
+    dropped: number,
+    /**
+     * The average time in ms it took to write an entry successfully, or null if none was written
+     */
+    averageLatency: number | null,
+    /**
+     * The error of the most recent failure
+     */
+    lastError: Error | null,
+    /**
+     * Whether the most recent write succeeded
+     */
+    up: boolean,
+}
+
+/**
+ * Options of a LoggerFactory, which apply to all of its targets
+ */
+interface FactoryOptions {
+    /**
+     * Censors secrets in logged objects before they are formatted. Can be overridden per target
+     */
+    redact?: RedactOptions | (string | RegExp)[],
+    /**
+     * The name of an environment variable holding levels like `INFO,NETWORK=TRACE,USERS/*=DEBUG`.
+     * A plain level applies to all targets, `pattern=level` applies to matching components as with {@link LoggerFactory.setLevel}.
+     * The variable is read when the factory is created or reconfigured. If it holds an invalid level, a warning is emitted and the configured levels are kept.
+     * Not set by default, so variables like `LOG_LEVEL` meant for other tools are ignored unless named here
+     */
+    levelEnv?: string,
+    /**
+     * Limits the entries queued for targets with `worker: true`
+     */
+    worker?: WorkerOptions,
+}
+
+/**
+ * Bounds the queue of the worker thread that formats and writes entries of targets with `worker: true`
+ */
+interface WorkerOptions {
+    /**
+     * The maximum number of entries waiting for the worker
+     * @default 10000
+     */
+    maxQueue?: number,
+    /**
+     * What happens when the queue is full:
+     * - `BLOCK` holds further entries back until the worker caught up, the promise returned by the log function resolves once the entry is written. The thread is not blocked
+     * - `DROP_OLDEST` drops the oldest entry the worker has not started writing yet
+     * - `DROP_NEWEST` drops the entry being logged
+     * @default "BLOCK"
+     */
+    overflow?: "BLOCK" | "DROP_OLDEST" | "DROP_NEWEST",
+}
+
+/**
+ * Describes which values to censor. The logged objects themselves are never modified.
+ * An array is short for `{ paths: array }`
  */
-export function createLoggerFactory(targets: Target[] | Target): LoggerFactory
+interface RedactOptions {
+    /**
+     * What to censor:
+     * - a key name like `"password"` matches properties of that name at any depth
+     * - a dotted path like `"headers.authorization"` or `"users.*.token"` matches properties relative to each logged object and to the context fields, `*` matches any single key
+     * - a regular expression matches substrings of string values, like `/Bearer \S+/`
+     */
+    paths: (string | RegExp)[],
+    /**
+     * The value to replace matches with. Matches of regular expressions are replaced by its string representation
+     * @default "[REDACTED]"
+     */
+    censor?: any,
+    /**
+     * Whether to remove matched properties and substrings instead of censoring them
+     * @default false
+     */
+    remove?: boolean,
+}
 
-type ParsedTarget = ({ type: "STREAM", stream: import("fs").WriteStream, private: boolean } | { type: "FUNCTION", func: Function } | { type: "HTTP" | "HTTPS", url: string | URL, options: any }) & { level: number, uniform: boolean, format: "JSON" | "TEXT", color: boolean, fullTimestamps: boolean, errorPolicy: "THROW" | "LOG" | "IGNORE" };
+type ParsedTarget = ({ type: "STREAM", stream: import("stream").Writable, writer: any, private: boolean } | { type: "FUNCTION", func: Function } | { type: "HTTP" | "HTTPS", url: string | URL, options: any } | { type: "BATCH", batcher: any } | { type: "SYSLOG", syslog: any } | { type: "WORKER", transport: any, index: number } | { type: "MEMORY", memory: MemoryBuffer } | { type: "SERVER", server: any } | { type: "FD", fd: number | null, private: boolean }) & { name: string | null, stats: any, level: number, uniform: boolean, format: Formatter, color: boolean, fullTimestamps: boolean, errorPolicy: "THROW" | "LOG" | "IGNORE", redact: any, errors: Required<ErrorOptions>, limiter: any, levelOverrides: { pattern: string, regex: RegExp, level: number }[], include: RegExp[] | null, exclude: RegExp[] | null };
 
 /**
  * A typeless target
  */
 interface BaseTarget {
+    /**
+     * Writes entries to the file descriptor with `fs.writeSync` before the log function returns, so they are not lost if the process exits right after.
+     * Only FILE targets without rotation, STREAM targets whose stream has an open file descriptor, STDOUT and STDERR targets can be sync.
+     * Sync targets block the process while writing, see {@link Logger.fatalSync}
+     * @default false
+     */
+    sync?: boolean,
+    /**
+     * Identifies the target in events, {@link LoggerFactory.stats} and {@link LoggerFactory.setLevel}. Must be unique within a factory
+     */
+    name?: string,
     /**
      * The minimum log level required to write to this target
      */
     logLevel?: LogLevel,
     /**
-     * Whether to output logs in raw text, colored text, or in json
+     * Whether to output logs in raw text, colored text, or in json.
+     * - `"LOGFMT"` writes `key=value` pairs
+     * - `"ECS"` writes Elastic Common Schema JSON documents
+     * - `"GELF"` writes GELF 1.1 JSON messages
+     *
+     * A {@link Formatter} or a function formatting entries can be supplied instead, see {@link textFormatter} to customize text style logs
      * @default "TEXT"
      */
-    style?: "JSON" | "TEXT",
+    style?: "JSON" | "TEXT" | "LOGFMT" | "ECS" | "GELF" | Formatter | Formatter["format"],
     /**
      * Whether the source and log level should be formated to all have the same length.
      * Only affects text style logs
@@ -131,6 +549,55 @@ interface BaseTarget {
      * @default "LOG"
      */
     errorPolicy?: "THROW" | "LOG" | "IGNORE",
+    /**
+     * Censors secrets in logged objects before they are written to this target.
+     * Overrides the {@link FactoryOptions.redact | factory option}, specify `null` to disable redaction for this target
+     */
+    redact?: RedactOptions | (string | RegExp)[] | null,
+    /**
+     * How logged errors are written. Text style logs print causes and aggregated errors indented below the error,
+     * JSON style logs contain them as nested objects
+     */
+    errors?: ErrorOptions,
+    /**
+     * The probability per level of an entry being written, like `{ TRACE: 0.1, DEBUG: 0.5 }`. Levels that are omitted are always written
+     */
+    sample?: Partial<Record<LogLevel, number>>,
+    /**
+     * Suppresses entries of a Logger that repeat its previous entry within the window, which defaults to 10000 ms.
+     * Once the window ends or a different entry is logged, an entry saying how often the message was repeated is written
+     */
+    dedupe?: { window?: number } | true,
+    /**
+     * Limits the number of entries written per level and Logger component and source with a token bucket.
+     * The number of dropped entries is written one second after the first entry was dropped
+     */
+    rateLimit?: {
+        /**
+         * The number of entries per second
+         */
+        rate: number,
+        /**
+         * The number of entries that may be written at once
+         * @default rate
+         */
+        burst?: number,
+    },
+    /**
+     * Only writes logs of Loggers matching one of these patterns. Patterns like `NETWORK` or `USERS/*` match the component or `component/source`
+     */
+    include?: string[],
+    /**
+     * Does not write logs of Loggers matching one of these patterns. Patterns like `NETWORK` or `USERS/*` match the component or `component/source`
+     */
+    exclude?: string[],
+    /**
+     * Formats and writes entries of this target in a worker thread shared by all worker targets of the factory.
+     * Levels, filters and limits are still applied on the logging thread, messages are copied to the worker, so functions and class instances lose their identity.
+     * Only FILE, POST, SYSLOG, STDOUT and STDERR targets using a built-in style and no listeners can be moved to a worker
+     * @default false
+     */
+    worker?: boolean,
 }
 
 /**
@@ -142,9 +609,22 @@ interface StreamTarget extends BaseTarget {
      */
     type: "STREAM",
     /**
-     * The stream to write to
+     * The stream to write to, like a file stream, a socket or `process.stderr`
      */
-    stream: import("fs").WriteStream,
+    stream: import("stream").Writable,
+    /**
+     * The number of bytes waiting to be written to the stream at which the overflow policy applies
+     * @default stream.writableHighWaterMark
+     */
+    highWaterMark?: number,
+    /**
+     * What happens to entries while the stream is above its high-water mark:
+     * - `BUFFER` writes them anyway, so the stream buffers them in memory
+     * - `DROP` discards them
+     * - `BLOCK` queues them until the stream drained, the promise returned by the log function resolves once the entry is written
+     * @default "BUFFER"
+     */
+    overflow?: "BUFFER" | "DROP" | "BLOCK",
 }
 
 /**
@@ -157,6 +637,16 @@ interface StdOutTarget extends BaseTarget {
     type: "STDOUT",
 }
 
+/**
+ * Writes logs to STDERR using the `console.error` function
+ */
+interface StdErrTarget extends BaseTarget {
+    /**
+     * Declares this target as a console target
+     */
+    type: "STDERR",
+}
+
 /**
  * Calls a function with the logs as argument
  */
@@ -193,7 +683,37 @@ interface FileTarget extends BaseTarget {
     /**
      * The error listener to attach to the file stream. If this option is not supplied an an error is emited, the process exits.
      */
-    errorListener?: Function
+    errorListener?: Function,
+    /**
+     * Rolls the file over to numbered backups (`<path>.1`, `<path>.2`, ...) once it grows too large or a period ends.
+     * If omitted, the file is never rotated
+     */
+    rotate?: RotationOptions
+}
+
+/**
+ * Controls when and how a file target is rotated
+ */
+interface RotationOptions {
+    /**
+     * The size in bytes after which the file is rotated
+     * @default Infinity
+     */
+    maxSize?: number,
+    /**
+     * Rotates the file when the UTC day or hour changes
+     */
+    interval?: "DAILY" | "HOURLY",
+    /**
+     * The number of rotated files to keep. Older files are deleted
+     * @default 5
+     */
+    maxFiles?: number,
+    /**
+     * Whether to gzip rotated files, which are then named `<path>.1.gz`, `<path>.2.gz`, ...
+     * @default false
+     */
+    compress?: boolean
 }
 
 /**
@@ -217,8 +737,210 @@ interface PostTarget extends BaseTarget {
      * The options object to pass to the request function
      */
     options?: any,
+    /**
+     * Collects entries and sends them in batches instead of sending one request per entry.
+     * `true` uses the default batch options
+     */
+    batch?: BatchOptions | true,
+    /**
+     * How failed batches are retried. Only used if {@link PostTarget.batch} is set
+     */
+    retry?: RetryOptions,
+    /**
+     * A file that entries are appended to when they cannot be sent or too many are waiting.
+     * Spooled entries are sent again after the next successful request, reading no more of the file at once than
+     * {@link BatchOptions.maxPending} allows. Only used if {@link PostTarget.batch} is set.
+     * If path is a string, ~/ will reference the user home directory
+     */
+    spool?: import("fs").PathLike,
+}
+
+/**
+ * Controls how entries of a POST target are batched
+ */
+interface BatchOptions {
+    /**
+     * The maximum number of entries per request, a positive integer
+     * @default 100
+     */
+    maxEntries?: number,
+    /**
+     * The time in ms to wait for more entries before sending an incomplete batch
+     * @default 1000
+     */
+    maxWait?: number,
+    /**
+     * The maximum number of entries waiting to be sent. Further entries are spooled or fail
+     * @default 10000
+     */
+    maxPending?: number,
+    /**
+     * Whether to send the entries separated by newlines or as a JSON array.
+     * In a JSON array, entries of text style targets are sent as strings
+     * @default "NDJSON"
+     */
+    format?: "NDJSON" | "JSON_ARRAY",
+}
+
+/**
+ * Controls how failed requests are retried. Requests fail on network errors and on any status outside 2xx,
+ * but only network errors and 5xx, 408 and 429 responses are retried and spooled
+ */
+interface RetryOptions {
+    /**
+     * The number of retries after the first attempt
+     * @default 5
+     */
+    retries?: number,
+    /**
+     * The delay in ms before the first retry. It doubles with every retry and is randomized by up to 50%
+     * @default 100
+     */
+    minDelay?: number,
+    /**
+     * The maximum delay in ms between two retries
+     * @default 10000
+     */
+    maxDelay?: number,
+}
+
+/**
+ * Sends logs to a syslog server. Levels are mapped to the severities critical, error, warning, informational and debug
+ */
+interface SyslogTarget extends BaseTarget {
+    /**
+     * Declares this target as a syslog target
+     */
+    type: "SYSLOG",
+    /**
+     * How to reach the server. TCP uses octet counting framing, unix sockets receive newline terminated messages whose line breaks are escaped as `\n`.
+     * Node does not support unix datagram sockets, so the socket at {@link SyslogTarget.path} must be a stream socket.
+     * `/dev/log` usually is a datagram socket, writing to one fails with an error suggesting another transport.
+     * Failed TCP and unix connections are reestablished on the next log
+     * @default "udp"
+     */
+    transport?: "udp" | "tcp" | "unix",
+    /**
+     * The host of the server, for UDP and TCP
+     * @default "localhost"
+     */
+    host?: string,
+    /**
+     * The port of the server, for UDP and TCP
+     * @default 514
+     */
+    port?: number,
+    /**
+     * The path of the stream socket, required for unix sockets
+     */
+    path?: string,
+    /**
+     * The message format
+     * @default "RFC5424"
+     */
+    format?: "RFC5424" | "RFC3164",
+    /**
+     * The facility name, like `"local0"`, or number
+     * @default "user"
+     */
+    facility?: string | number,
+    /**
+     * The APP-NAME or TAG of the messages
+     * @default process.title
+     */
+    appName?: string,
+    /**
+     * The HOSTNAME of the messages
+     * @default os.hostname()
+     */
+    hostname?: string,
+}
+
+/**
+ * Serves entries to HTTP clients as they are logged, for example with `curl localhost:9000/?level=WARN&component=USERS/*`.
+ * Clients receive Server-Sent Events if they request the `text/event-stream` type or pass `format=sse`, and newline delimited entries otherwise.
+ * The `level` and `component` query parameters filter the entries of a client, `component` may be repeated
+ */
+interface ServerTarget extends BaseTarget {
+    /**
+     * Declares this target as a server target
+     */
+    type: "SERVER",
+    /**
+     * The port to listen on
+     */
+    port: number,
+    /**
+     * The address to listen on
+     * @default "127.0.0.1"
+     */
+    host?: string,
+    /**
+     * The path to serve entries on
+     * @default "/"
+     */
+    path?: string,
+    /**
+     * A token clients must send as `Authorization: Bearer <token>` header or `token` query parameter
+     */
+    token?: string,
+    /**
+     * The number of bytes that may wait to be sent to a client before it is disconnected
+     * @default 1048576
+     */
+    maxBuffer?: number,
+    /**
+     * The log style of served entries
+     * @default "JSON"
+     */
+    style?: BaseTarget["style"],
+}
+
+/**
+ * Keeps the most recent entries in memory, at every level unless a logLevel is set.
+ * Buffered entries can be queried with {@link LoggerFactory.getMemory} and dumped to another target when an error is logged.
+ * Entries are copied (and redacted) when they are buffered, so later changes to the logged objects do not alter them
+ */
+interface MemoryTarget extends BaseTarget {
+    /**
+     * Declares this target as a memory target
+     */
+    type: "MEMORY",
+    /**
+     * The number of entries to keep
+     * @default 1000
+     */
+    size?: number,
+    /**
+     * The index of another target of the factory. When an entry at or above {@link MemoryTarget.dumpOn} is logged,
+     * the buffered entries that target did not write because of its level or filters are written to it.
+     * Dumped entries stay in the buffer, but later dumps do not write them again
+     */
+    dumpTo?: number,
+    /**
+     * The level that triggers a dump
+     * @default "ERROR"
+     */
+    dumpOn?: LogLevel,
+}
+
+/**
+ * The entries of a MEMORY target. Messages and context are kept as logged, after redaction
+ */
+interface MemoryBuffer {
+    /**
+     * Returns the buffered entries from oldest to newest
+     * @param query.level Only returns entries at or above this level
+     * @param query.component A pattern like `NETWORK` or `USERS/*` matching the component or `component/source`
+     * @param query.since Only returns entries logged at or after this time
+     */
+    getEntries(query?: { level?: LogLevel, component?: string, since?: number | Date }): LogEntry[];
+    /**
+     * Removes all buffered entries
+     */
+    clear(): void;
 }
 
-type Target = StreamTarget | FileTarget | PostTarget | StdOutTarget | FunctionTarget;
+type Target = StreamTarget | FileTarget | PostTarget | StdOutTarget | StdErrTarget | FunctionTarget | SyslogTarget | MemoryTarget | ServerTarget;
 
 type LogLevel = "FATAL" | "ERROR" | "WARN" | "INFO" | "DEBUG" | "TRACE";
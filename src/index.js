@@ -1,20 +1,38 @@
 
 import chalk from "chalk";
-import { createWriteStream, WriteStream } from "fs";
-import { homedir } from "os";
+import { closeSync, createReadStream, createWriteStream, existsSync, openSync, readFileSync, statSync, unwatchFile, watchFile, writeSync } from "fs";
+import { appendFile, rename, rm } from "fs/promises";
+import { createInterface } from "readline";
+import { AsyncLocalStorage } from "async_hooks";
+import { EventEmitter } from "events";
+import { constants as osConstants, homedir, hostname } from "os";
+import { Writable } from "stream";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
+import { createGzip } from "zlib";
+import { isMainThread, parentPort, Worker, workerData } from "worker_threads";
 import { stringifySafe } from "simple-safe-stringify";
-import { inspect } from "util";
+import { formatWithOptions, inspect } from "util";
 import { request as httpsRequest } from "https";
-import { request as httpRequest } from "http";
+import { createServer as createHttpServer, request as httpRequest } from "http";
+import { timingSafeEqual } from "crypto";
+import { createSocket } from "dgram";
+import { connect } from "net";
 
-export class LoggerFactory {
+export class LoggerFactory extends EventEmitter {
     /**
      * @param {import(".").ParsedTarget[]} targets
      */
     constructor(targets) {
+        super();
         this.targets = targets;
         this.maxSourceLength = 0;
         this.destroyed = false;
+        this.closing = false;
+        this.pending = new Set();
+        this.closePromise = null;
+        this.storage = new AsyncLocalStorage();
+        this.stopWatching = null;
     }
 
     createLogger(component, source = null, sourceColor = null) {
@@ -37,7 +55,7 @@ export class LoggerFactory {
         if (color && !/^[0-9a-fA-F]{6}$/.test(color))
             throw new RangeError(`Expected sourceColor to be a hex string of length 6, but received '${color}' instead`);
 
-        color = color ? chalk.hex(color) : noColor;
+        color = color ? sourceColorFunction(color) : noColor;
 
         const sourceLength = component.length + 1 + (source?.length ?? -1);
         if (sourceLength > this.maxSourceLength)
@@ -47,292 +65,2568 @@ export class LoggerFactory {
         return logger;
     }
 
+    /**
+     * Runs fn with fields that are added to every entry logged within its async scope
+     * @param {Record<string, any>} fields
+     * @param {Function} fn
+     */
+    runWithContext(fields, fn, ...args) {
+        if (typeof fields !== "object" || fields === null || Array.isArray(fields))
+            throw new TypeError(`Expected fields to be an object, but received ${fields} instead`);
+        return this.storage.run({ ...this.storage.getStore(), ...fields }, fn, ...args);
+    }
+
+    /**
+     * Changes the level of targets at runtime
+     * @param {import(".").LogLevel} level
+     * @param {{ target?: number | string, component?: string }} options
+     */
+    setLevel(level, { target, component } = {}) {
+        if (this.destroyed)
+            throw new Error("LoggerFactory has been destroyed");
+        if (levelNums[level] === undefined)
+            throw new TypeError(`log level must be one of 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'. Received ${level} instead`);
+
+        const targets = target === undefined ? this.targets : [this._target(target)];
+        targets.forEach(v => setTargetLevel(v, level, component));
+    }
+
+    /**
+     * Replaces the targets of this factory. Existing Loggers write to the new targets,
+     * the previous targets are closed once everything pending was written to them
+     * @param {import(".").Target[] | import(".").Target} targets
+     * @param {import(".").FactoryOptions} options
+     * @returns {Promise<void>} resolves once the previous targets are closed
+     */
+    reconfigure(targets, options = {}) {
+        if (this.destroyed || this.closing)
+            throw new Error("LoggerFactory has been destroyed");
+        const parsedTargets = parseTargets(targets, options);
+        const previous = this.targets;
+        this.targets = parsedTargets;
+
+        previous.forEach(v => v.limiter?.flush());
+        return Promise.allSettled([...this.pending, ...previous.map(flushTarget)])
+            .then(() => Promise.allSettled(previous.map(endTarget)))
+            .then(() => previous.forEach(destroyTarget));
+    }
+
+    /**
+     * @param {number | string} [target] the index or name of a MEMORY target, defaults to the first one
+     * @returns {{ getEntries(query?: { level?: import(".").LogLevel, component?: string, since?: number | Date }): import(".").LogEntry[], clear(): void }}
+     */
+    getMemory(target) {
+        if (this.destroyed)
+            throw new Error("LoggerFactory has been destroyed");
+        const memory = target === undefined ? this.targets.find(v => v.type === "MEMORY") : this._target(target);
+        if (memory?.type !== "MEMORY")
+            throw new RangeError(target === undefined ? "LoggerFactory has no MEMORY target" : `Target ${target} is not a MEMORY target`);
+        return memory.memory;
+    }
+
+    /**
+     * Returns the counters of every target, in the order of the targets
+     * @returns {import(".").TargetStats[]}
+     */
+    stats() {
+        if (this.destroyed)
+            throw new Error("LoggerFactory has been destroyed");
+        return this.targets.map((v, i) => ({
+            target: i,
+            name: v.name,
+            written: v.stats.written,
+            bytes: v.stats.bytes,
+            failures: v.stats.failures,
+            dropped: v.stats.dropped,
+            averageLatency: v.stats.written ? v.stats.latency / v.stats.written : null,
+            lastError: v.stats.lastError,
+            up: !v.stats.down
+        }));
+    }
+
+    _target(target) {
+        if (typeof target === "string") {
+            const named = this.targets.find(v => v.name === target);
+            if (!named)
+                throw new RangeError(`No target named '${target}'`);
+            return named;
+        }
+        if (!Number.isInteger(target) || !this.targets[target])
+            throw new RangeError(`No target at index ${target}`);
+        return this.targets[target];
+    }
+
     destroy() {
         if (this.destroyed)
             return;
         this.destroyed = true;
-        this.targets.filter(v => v.type === "STREAM" && v.private === true).forEach(v => v.stream.destroy());
+        this.stopWatching?.();
+        this.targets.forEach(destroyTarget);
         this.targets = null;
     }
+
+    /**
+     * @param {{ timeoutMs?: number }} options
+     * @returns {Promise<boolean>} whether all pending writes settled before the timeout
+     */
+    close({ timeoutMs = Infinity } = {}) {
+        if (this.closePromise)
+            return this.closePromise;
+        if (this.destroyed)
+            return Promise.resolve(true);
+        this.closing = true;
+
+        const flush = (async () => {
+            // batched entries only settle once their batch is sent
+            this.targets.forEach(v => v.limiter?.flush());
+            do {
+                await Promise.allSettled([...this.pending, ...this.targets.map(flushTarget)]);
+            } while (this.pending.size);
+            await Promise.allSettled(this.targets.map(endTarget));
+            return true;
+        })();
+
+        let timer = null;
+        const timeout = new Promise(res => {
+            if (timeoutMs !== Infinity)
+                timer = setTimeout(() => res(false), timeoutMs);
+        });
+
+        this.closePromise = Promise.race([flush, timeout]).then(flushed => {
+            clearTimeout(timer);
+            this.destroy();
+            return flushed;
+        });
+        return this.closePromise;
+    }
+
+    /**
+     * Closes the factory when the process receives one of the signals or is about to exit
+     * @param {{ timeoutMs?: number, signals?: NodeJS.Signals[] }} options
+     * @returns {Function} a function that removes the listeners again
+     */
+    closeOnExit({ timeoutMs = 5000, signals = ["SIGINT", "SIGTERM"] } = {}) {
+        const onSignal = signal => {
+            remove();
+            this.close({ timeoutMs }).then(() => process.exit(128 + (osConstants.signals[signal] ?? 0)));
+        };
+        const onBeforeExit = () => {
+            remove();
+            this.close({ timeoutMs });
+        };
+        const remove = () => {
+            signals.forEach(v => process.off(v, onSignal));
+            process.off("beforeExit", onBeforeExit);
+        };
+
+        signals.forEach(v => process.on(v, onSignal));
+        process.on("beforeExit", onBeforeExit);
+        return remove;
+    }
+
+    /**
+     * Routes the console methods to the logger, `console.log` and `console.info` log INFO entries
+     * @param {Logger} logger
+     * @returns {Function} a function that restores the console methods
+     */
+    captureConsole(logger = this.createLogger("console")) {
+        if (!(logger instanceof Logger))
+            throw new TypeError(`Expected logger to be a Logger, but received ${logger} instead`);
+        const originals = new Map();
+        for (const [method, level] of Object.entries(consoleLevels)) {
+            const original = console[method];
+            const captured = (...args) => {
+                // entries written to the console by targets, and console output of targets delivering a captured entry, are printed as usual
+                if (bypassCapture || capturedDelivery.getStore() || logger.destroyed || logger.manager.closing)
+                    return original.apply(console, args);
+                capturedDelivery.run(true, () => bypassingCapture(() => logger[level](...args))).catch(noop);
+            };
+            originals.set(method, { original, captured });
+            console[method] = captured;
+        }
+        return () => originals.forEach(({ original, captured }, method) => {
+            if (console[method] === captured)
+                console[method] = original;
+        });
+    }
+
+    /**
+     * Logs uncaught exceptions and unhandled rejections as FATAL entries.
+     * If exit is set, the factory is closed and the process exits with code 1 afterwards
+     * @param {Logger} logger
+     * @param {{ exit?: boolean, timeoutMs?: number }} options
+     * @returns {Function} a function that removes the listeners again
+     */
+    captureProcessErrors(logger = this.createLogger("process"), { exit = true, timeoutMs = 5000 } = {}) {
+        if (!(logger instanceof Logger))
+            throw new TypeError(`Expected logger to be a Logger, but received ${logger} instead`);
+        let exiting = false;
+        const onError = (message, error) => {
+            let logged;
+            try {
+                logged = logger.fatal(message, error);
+            } catch (e) {
+                logged = Promise.reject(e);
+            }
+            logged = logged.catch(noop);
+            if (!exit || exiting)
+                return;
+            exiting = true;
+            logged.then(() => this.close({ timeoutMs })).finally(() => process.exit(1));
+        };
+        const onException = error => onError("Uncaught exception:", error);
+        const onRejection = reason => onError("Unhandled rejection:", reason);
+        process.on("uncaughtException", onException);
+        process.on("unhandledRejection", onRejection);
+        return () => {
+            process.off("uncaughtException", onException);
+            process.off("unhandledRejection", onRejection);
+        };
+    }
+
+    _track(promise) {
+        this.pending.add(promise);
+        const remove = () => this.pending.delete(promise);
+        promise.then(remove, remove);
+        return promise;
+    }
+}
+
+export class Logger {
+    constructor(component, source, color, manager, context = {}) {
+        this.component = component;
+        this.source = source;
+        this.color = color;
+        this.manager = manager;
+        this.context = context;
+        this.timers = new Map();
+    }
+
+    get destroyed() {
+        return this.manager.destroyed;
+    }
+
+    /**
+     * @param {Record<string, any>} fields
+     */
+    child(fields) {
+        if (typeof fields !== "object" || fields === null || Array.isArray(fields))
+            throw new TypeError(`Expected fields to be an object, but received ${fields} instead`);
+        return new Logger(this.component, this.source, this.color, this.manager, { ...this.context, ...fields });
+    }
+
+    trace(...messages) {
+        return this._write(messages, levelNums.TRACE);
+    }
+
+    debug(...messages) {
+        return this._write(messages, levelNums.DEBUG);
+    }
+
+    info(...messages) {
+        return this._write(messages, levelNums.INFO);
+    }
+
+    warn(...messages) {
+        return this._write(messages, levelNums.WARN);
+    }
+
+    error(...messages) {
+        return this._write(messages, levelNums.ERROR);
+    }
+
+    fatal(...messages) {
+        return this._write(messages, levelNums.FATAL);
+    }
+
+    /**
+     * Whether any target would write an entry of this Logger at the level
+     * @param {import(".").LogLevel} level
+     */
+    isLevelEnabled(level) {
+        if (levelNums[level] === undefined)
+            throw new TypeError(`log level must be one of 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'. Received ${level} instead`);
+        if (this.destroyed)
+            return false;
+        return this.manager.targets.some(v => admits(v, levelNums[level], this));
+    }
+
+    /**
+     * Logs a FATAL entry to the sync targets only, which are written before this function returns.
+     * Failures are handled by the error policies of the targets, but are never thrown
+     */
+    fatalSync(...messages) {
+        if (this.destroyed)
+            throw new Error("Logger has been destroyed");
+        const targets = this.manager.targets.filter(v => v.type === "FD" || v.type === "MEMORY");
+        _log(targets.map(v => v.errorPolicy === "THROW" ? { ...v, errorPolicy: "IGNORE" } : v), messages, levelNums.FATAL, this, this.manager.maxSourceLength).catch(noop);
+    }
+
+    /**
+     * Starts a timer, which is logged by {@link Logger.timeEnd}. Like `console.time`, a running timer keeps its start time
+     * @param {string} label
+     */
+    time(label) {
+        if (this.timers.has(label)) {
+            process.emitWarning(`Timer '${label}' already exists`);
+            return;
+        }
+        this.timers.set(label, performance.now());
+    }
+
+    /**
+     * Logs the label of a timer started with {@link Logger.time} along with its duration
+     * @param {string} label
+     * @param {import(".").LogLevel} level
+     */
+    timeEnd(label, level = "INFO") {
+        const start = this.timers.get(label);
+        if (start === undefined)
+            throw new RangeError(`No timer named '${label}'`);
+        if (levelNums[level] === undefined)
+            throw new TypeError(`log level must be one of 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'. Received ${level} instead`);
+        this.timers.delete(label);
+        return this._write([label], levelNums[level], performance.now() - start);
+    }
+
+    /**
+     * Starts a timer and returns a function logging its duration. The message and level of the entry can be passed in the fields, the remaining fields are added to the entry
+     * @returns {(fields?: Record<string, any>) => Promise<any>}
+     */
+    startTimer() {
+        const start = performance.now();
+        return ({ message = "Timer finished", level = "INFO", ...fields } = {}) => {
+            if (levelNums[level] === undefined)
+                throw new TypeError(`log level must be one of 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'. Received ${level} instead`);
+            const logger = Object.keys(fields).length ? this.child(fields) : this;
+            return logger._write([message], levelNums[level], performance.now() - start);
+        };
+    }
+
+    _write(messages, level, duration = null) {
+        // handlers still running during a graceful shutdown should not fail because they log
+        if (this.manager.closing && !this.destroyed) {
+            this.manager.targets.filter(v => admits(v, level, this)).forEach(v => recordDrop(this.manager, v, "CLOSING"));
+            return Promise.resolve(null);
+        }
+        return this.manager._track(_log(this.manager.targets, messages, level, this, this.manager.maxSourceLength, undefined, undefined, duration));
+    }
+}
+
+/**
+ * @param {import(".").ParsedTarget[]} targets
+ * @param {any[]} messages
+ * @param {number} level
+ * @param {Logger} logger
+ * @param {number} maxSourceLength
+ * @param {number} timestamp
+ * @param {Record<string, any>} context
+ * @param {number?} duration the duration measured by a timer, in ms
+ */
+function _log(targets, messages, level, logger, maxSourceLength, timestamp = Date.now(), context = { ...logger.manager.storage.getStore(), ...logger.context }, duration = null) {
+    if (logger.destroyed)
+        throw new Error("Logger has been destroyed");
+    const redacted = new Map();
+    let workerEntry = null;
+    // memory targets go first, so the entries they dump are written before the entry that triggered the dump
+    const order = [...targets.keys()].sort((a, b) => (targets[b].type === "MEMORY") - (targets[a].type === "MEMORY"));
+    const admitted = order.filter(i => admits(targets[i], level, logger));
+    // lazy arguments are only evaluated if the entry is written somewhere
+    if (admitted.length && messages.some(v => v instanceof LazyValue))
+        messages = messages.map(evaluateLazy);
+    return Promise.all(admitted.map(i => {
+        const v = targets[i];
+        const dropReason = v.limiter?.dropReason(v, level, logger, messages);
+        if (dropReason) {
+            recordDrop(logger.manager, v, dropReason);
+            return;
+        }
+        return (async () => {
+            let content = null;
+            if (v.type === "MEMORY") {
+                // buffered entries are copied, so changes to the logged objects do not alter them later
+                const rules = v.redact ?? noRedaction;
+                if (!redacted.has(rules))
+                    redacted.set(rules, redactEntry(messages, context, rules));
+                const entry = redacted.get(rules);
+                recordWrite(logger.manager, v, 0, 0);
+                return v.memory.push({
+                    timestamp: timestamp,
+                    level: levels[level],
+                    component: logger.component,
+                    source: logger.source,
+                    messages: entry.messages,
+                    context: entry.context,
+                    duration: duration
+                }, logger, maxSourceLength);
+            }
+            if (v.type !== "WORKER") {
+                let entry = { messages, context };
+                if (v.redact) {
+                    if (!redacted.has(v.redact))
+                        redacted.set(v.redact, redactEntry(messages, context, v.redact));
+                    entry = redacted.get(v.redact);
+                }
+                content = format({
+                    timestamp: timestamp,
+                    level: levels[level],
+                    component: logger.component,
+                    source: logger.source,
+                    messages: entry.messages,
+                    context: entry.context,
+                    duration: duration
+                }, v, logger.color, maxSourceLength);
+            }
+            const deliver = async () => {
+                switch (v.type) {
+                    case "FD":
+                        if (v.fd === null)
+                            throw new Error("LoggerFactory has been destroyed");
+                        return writeFully(v.fd, content);
+                    case "STREAM":
+                        return await v.writer.write(content)
+                    case "FUNCTION":
+                        return await v.func(content);
+                    case "HTTP":
+                        return await postRequest(false, v.url, content, v.options);
+                    case "HTTPS":
+                        return await postRequest(true, v.url, content, v.options);
+                    case "BATCH":
+                        return await v.batcher.push(content);
+                    case "SYSLOG":
+                        return await v.syslog.send(content, levels[level], timestamp, logger.component);
+                    case "SERVER":
+                        return await v.server.send(content, level, logger);
+                    case "WORKER":
+                        workerEntry ??= {
+                            timestamp: timestamp,
+                            level: levels[level],
+                            component: logger.component,
+                            source: logger.source,
+                            hex: logger.color.hex ?? null,
+                            maxSourceLength: maxSourceLength,
+                            messages: toCloneable(messages),
+                            context: toCloneable(context),
+                            duration: duration
+                        };
+                        return await v.transport.post(v.index, workerEntry);
+                }
+            };
+            const start = performance.now();
+            try {
+                const result = await deliver();
+                if (result === DROPPED) {
+                    recordDrop(logger.manager, v, "OVERFLOW");
+                    return null;
+                }
+                recordWrite(logger.manager, v, typeof content === "string" ? Buffer.byteLength(content) : 0, performance.now() - start);
+                return result;
+            } catch (e) {
+                recordFailure(logger.manager, v, e);
+                switch (v.errorPolicy) {
+                    case "THROW":
+                        throw e;
+                    case "LOG":
+                        if (!logger.destroyed)
+                            return _log(targets.map(v => ({ ...v, errorPolicy: "IGNORE" })), [`Failed to log to target ${i}:`, { timestamp: new Date(timestamp).toISOString(), level: levels[level], messages, error: e }], Math.min(level, levelNums.ERROR), logger, maxSourceLength);
+                }
+            };
+        })();
+    }).filter(v => v));
+}
+
+/**
+ * Resolved by transports that dropped an entry because they were full
+ */
+const DROPPED = Symbol("dropped");
+
+function targetEvent(factory, target) {
+    return { target: factory.targets?.findIndex(v => v.stats === target.stats) ?? -1, name: target.name };
+}
+
+/**
+ * @param {LoggerFactory} factory
+ * @param {import(".").ParsedTarget} target
+ * @param {number} bytes
+ * @param {number} latency
+ */
+function recordWrite(factory, target, bytes, latency) {
+    const stats = target.stats;
+    stats.written++;
+    stats.bytes += bytes;
+    stats.latency += latency;
+    if (stats.down) {
+        stats.down = false;
+        factory.emit("targetUp", targetEvent(factory, target));
+    }
+}
+
+/**
+ * @param {LoggerFactory} factory
+ * @param {import(".").ParsedTarget} target
+ * @param {Error} error
+ */
+function recordFailure(factory, target, error) {
+    const stats = target.stats;
+    stats.failures++;
+    stats.lastError = error;
+    if (!stats.down) {
+        stats.down = true;
+        factory.emit("targetDown", { ...targetEvent(factory, target), error });
+    }
+    // without listeners, error events would throw
+    if (factory.listenerCount("error"))
+        factory.emit("error", error, targetEvent(factory, target));
+}
+
+/**
+ * @param {LoggerFactory} factory
+ * @param {import(".").ParsedTarget} target
+ * @param {"SAMPLE" | "DEDUPE" | "RATE_LIMIT" | "OVERFLOW"} reason
+ */
+function recordDrop(factory, target, reason) {
+    target.stats.dropped++;
+    factory.emit("drop", { ...targetEvent(factory, target), reason });
+}
+
+/**
+ * A function wrapped by {@link lazy}
+ */
+class LazyValue {
+    /**
+     * @param {() => any} fn
+     */
+    constructor(fn) {
+        this.fn = fn;
+    }
+}
+
+/**
+ * Calls the functions of lazy messages, other messages are logged as they are
+ * @param {any} message
+ */
+function evaluateLazy(message) {
+    if (!(message instanceof LazyValue))
+        return message;
+    try {
+        return message.fn();
+    } catch (e) {
+        return e;
+    }
+}
+
+/**
+ * Drops entries of a target by sampling, suppressing repeated messages and rate limiting.
+ * Repeated and rate limited entries are counted and reported to the target at the end of their window
+ */
+class EntryLimiter {
+    /**
+     * @param {{ sample: Record<string, number>?, dedupe: { window: number }?, rateLimit: { rate: number, burst: number }? }} options
+     */
+    constructor(options) {
+        this.sample = options.sample;
+        this.dedupe = options.dedupe;
+        this.rateLimit = options.rateLimit;
+        this.repeats = new Map();
+        this.buckets = new Map();
+    }
+
+    /**
+     * Why the entry should not be written to the target
+     * @param {import(".").ParsedTarget} target
+     * @param {number} level
+     * @param {Logger} logger
+     * @param {any[]} messages
+     * @returns {"SAMPLE" | "DEDUPE" | "RATE_LIMIT" | null} null if the entry should be written
+     */
+    dropReason(target, level, logger, messages) {
+        const probability = this.sample?.[levels[level]];
+        if (probability !== undefined && Math.random() >= probability)
+            return "SAMPLE";
+
+        const source = logger.component + "/" + (logger.source ?? "");
+        if (this.dedupe) {
+            const key = level + stringifySafe(messages, jsonReplacer());
+            const repeat = this.repeats.get(source);
+            if (repeat?.key === key) {
+                repeat.count++;
+                return "DEDUPE";
+            }
+            if (repeat)
+                this._reportRepeats(source);
+            const timer = setTimeout(() => this._reportRepeats(source), this.dedupe.window);
+            timer.unref();
+            this.repeats.set(source, { key, count: 0, target, level, logger, timer });
+        }
+
+        if (this.rateLimit) {
+            const key = level + "\0" + source;
+            const now = Date.now();
+            let bucket = this.buckets.get(key);
+            if (!bucket) {
+                bucket = { tokens: this.rateLimit.burst, time: now, dropped: 0, timer: null, target, level, logger };
+                this.buckets.set(key, bucket);
+            }
+            bucket.tokens = Math.min(this.rateLimit.burst, bucket.tokens + (now - bucket.time) * this.rateLimit.rate / 1000);
+            bucket.time = now;
+            if (bucket.tokens < 1) {
+                bucket.dropped++;
+                if (!bucket.timer) {
+                    bucket.timer = setTimeout(() => this._reportDropped(key), 1000);
+                    bucket.timer.unref();
+                }
+                return "RATE_LIMIT";
+            }
+            bucket.tokens--;
+        }
+        return null;
+    }
+
+    /**
+     * Reports all counted entries immediately
+     */
+    flush() {
+        [...this.repeats.keys()].forEach(v => this._reportRepeats(v));
+        [...this.buckets.keys()].forEach(v => this._reportDropped(v));
+    }
+
+    destroy() {
+        this.repeats.forEach(v => clearTimeout(v.timer));
+        this.buckets.forEach(v => clearTimeout(v.timer));
+        this.repeats.clear();
+        this.buckets.clear();
+    }
+
+    _reportRepeats(source) {
+        const repeat = this.repeats.get(source);
+        this.repeats.delete(source);
+        clearTimeout(repeat.timer);
+        if (repeat.count > 0)
+            writeReport(repeat.target, repeat.level, repeat.logger, `Last message repeated ${repeat.count} times`);
+    }
+
+    _reportDropped(key) {
+        const bucket = this.buckets.get(key);
+        clearTimeout(bucket.timer);
+        bucket.timer = null;
+        if (bucket.dropped > 0)
+            writeReport(bucket.target, bucket.level, bucket.logger, `Rate limit exceeded, dropped ${bucket.dropped} entries`);
+        bucket.dropped = 0;
+    }
+}
+
+/**
+ * Writes an entry to a single target, bypassing its limiter
+ */
+function writeReport(target, level, logger, message) {
+    if (logger.destroyed)
+        return;
+    logger.manager._track(_log([{ ...target, limiter: null, errorPolicy: "IGNORE" }], [message], level, logger, logger.manager.maxSourceLength));
+}
+
+function createLimiter(target) {
+    if (!target.sample && !target.dedupe && !target.rateLimit)
+        return null;
+    if (target.sample) {
+        for (const [level, probability] of Object.entries(target.sample)) {
+            if (levelNums[level] === undefined)
+                throw new TypeError(`sample levels must be one of 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'. Received ${level} instead`);
+            if (!(probability >= 0 && probability <= 1))
+                throw new RangeError(`Expected sample probability to be between 0 and 1, but received ${probability} instead`);
+        }
+    }
+    const dedupe = target.dedupe === true ? {} : target.dedupe;
+    if (dedupe && dedupe.window !== undefined && !(dedupe.window > 0))
+        throw new RangeError(`Expected dedupe.window to be a positive number, but received ${dedupe.window} instead`);
+    if (target.rateLimit && !(target.rateLimit.rate > 0))
+        throw new RangeError(`Expected rateLimit.rate to be a positive number, but received ${target.rateLimit.rate} instead`);
+    if (target.rateLimit && target.rateLimit.burst !== undefined && !(target.rateLimit.burst >= 1))
+        throw new RangeError(`Expected rateLimit.burst to be at least 1, but received ${target.rateLimit.burst} instead`);
+    return new EntryLimiter({
+        sample: target.sample ?? null,
+        dedupe: dedupe ? { window: dedupe.window ?? 10000 } : null,
+        rateLimit: target.rateLimit ? { rate: target.rateLimit.rate, burst: target.rateLimit.burst ?? Math.max(1, target.rateLimit.rate) } : null
+    });
+}
+
+/**
+ * Whether the target accepts entries of the level from the logger, considering component level overrides and filters
+ * @param {import(".").ParsedTarget} target
+ * @param {number} level
+ * @param {Logger} logger
+ */
+function admits(target, level, logger) {
+    let maxLevel = target.level;
+    // the most recently set matching override wins
+    for (let i = target.levelOverrides.length - 1; i >= 0; i--) {
+        if (matchesSource(target.levelOverrides[i].regex, logger)) {
+            maxLevel = target.levelOverrides[i].level;
+            break;
+        }
+    }
+    if (maxLevel < level)
+        return false;
+    if (target.include && !target.include.some(v => matchesSource(v, logger)))
+        return false;
+    if (target.exclude && target.exclude.some(v => matchesSource(v, logger)))
+        return false;
+    return true;
+}
+
+function matchesSource(regex, logger) {
+    return regex.test(logger.component) || (logger.source !== null && regex.test(logger.component + "/" + logger.source));
+}
+
+/**
+ * Converts a pattern like `USERS/*` to a regular expression
+ * @param {string} pattern
+ */
+function patternRegex(pattern) {
+    if (typeof pattern !== "string" || !pattern)
+        throw new TypeError(`Expected component pattern to be a non-empty string, but received ${pattern} instead`);
+    const escaped = pattern.split("*").map(v => v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    return new RegExp("^" + escaped.join(".*") + "$");
+}
+
+/**
+ * Formats an entry using the formatter of the target
+ * @param {import(".").LogEntry} entry
+ * @param {import(".").ParsedTarget} target
+ * @param {Function} sourceColor
+ * @param {number} maxSourceLength
+ */
+function format(entry, target, sourceColor, maxSourceLength) {
+    return target.format.format(entry, {
+        color: target.color,
+        uniform: target.uniform,
+        fullTimestamps: target.fullTimestamps,
+        maxSourceLength: maxSourceLength,
+        sourceColor: sourceColor,
+        errors: target.errors
+    });
 }
 
-export class Logger {
-    constructor(component, source, color, manager) {
-        this.component = component;
-        this.source = source;
-        this.color = color;
-        this.manager = manager;
+/**
+ * @param {import(".").ErrorOptions} errors
+ */
+function jsonReplacer(errors = defaultErrorOptions) {
+    return (k, v) => {
+        if (v instanceof Error)
+            return serializeError(v, errors);
+        if (v === undefined)
+            return "undefined";
+        return v;
+    };
+}
+
+const defaultErrorOptions = {
+    maxDepth: 10,
+    structuredStack: false
+};
+
+/**
+ * Converts an error to a plain object, following its cause chain and the errors of AggregateErrors
+ * @param {Error} error
+ * @param {import(".").ErrorOptions} options
+ * @param {number} depth
+ * @param {Set<Error>} seen the errors currently being serialized, to detect cycles
+ */
+export function serializeError(error, options = defaultErrorOptions, depth = 0, seen = new Set()) {
+    const result = {
+        name: error.name,
+        message: error.message,
+        stack: options.structuredStack ? parseStack(error.stack) : error.stack
+    };
+
+    seen.add(error);
+    const nested = value => {
+        if (!(value instanceof Error))
+            return value;
+        if (seen.has(value))
+            return "[Circular]";
+        if (depth + 1 >= options.maxDepth)
+            return "[Truncated]";
+        return serializeError(value, options, depth + 1, seen);
+    };
+    // errors within custom properties are serialized here, so references back to an error being serialized become "[Circular]"
+    const copies = new Map();
+    const property = value => {
+        if (value instanceof Error)
+            return nested(value);
+        if (typeof value !== "object" || value === null || !(Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype))
+            return value;
+        if (copies.has(value))
+            return copies.get(value);
+        const copy = Array.isArray(value) ? [] : {};
+        copies.set(value, copy);
+        for (const key of Object.keys(value))
+            copy[key] = property(value[key]);
+        return copy;
+    };
+    for (const name of Object.getOwnPropertyNames(error)) {
+        if (!(name in result) && name !== "cause" && name !== "errors")
+            result[name] = property(error[name]);
+    }
+    if ("cause" in error)
+        result.cause = nested(error.cause);
+    if (Array.isArray(error.errors))
+        result.errors = error.errors.map(nested);
+    seen.delete(error);
+
+    return result;
+}
+
+/**
+ * Parses a V8 stack trace into frames
+ * @param {string?} stack
+ * @returns {import(".").StackFrame[]}
+ */
+export function parseStack(stack) {
+    if (typeof stack !== "string")
+        return [];
+    return stack.split("\n").filter(v => /^\s+at /.test(v)).map(v => {
+        const line = v.trim().slice(3);
+        const match = line.match(/^(.*?) \((.*):(\d+):(\d+)\)$/) ?? line.match(/^()(.*):(\d+):(\d+)$/);
+        if (!match) {
+            const native = line.match(/^(.*?) \((.*)\)$/);
+            return { function: native?.[1] ?? null, file: native?.[2] ?? line, line: null, column: null };
+        }
+        return { function: match[1] || null, file: match[2], line: Number(match[3]), column: Number(match[4]) };
+    });
+}
+
+/**
+ * Renders an error with its stack, custom properties, causes and aggregated errors, indenting nested errors
+ * @param {Error} error
+ * @param {boolean} color
+ * @param {import(".").ErrorOptions} options
+ */
+function formatErrorText(error, color, options = defaultErrorOptions, depth = 0, seen = new Set()) {
+    const indent = "  ".repeat(depth);
+    const lines = (typeof error.stack === "string" ? error.stack : `${error.name}: ${error.message}`).split("\n");
+    const properties = {};
+    for (const name of Object.keys(error)) {
+        if (name !== "cause" && name !== "errors")
+            properties[name] = error[name];
+    }
+    if (Object.keys(properties).length)
+        lines.push("    " + inspect(properties, { depth: null, breakLength: Infinity, colors: color }));
+
+    seen.add(error);
+    const nested = (label, value) => {
+        if (!(value instanceof Error))
+            return `${indent}  ${label}: ${typeof value === "string" ? value : inspect(value, { depth: null, breakLength: Infinity, colors: color })}`;
+        if (seen.has(value))
+            return `${indent}  ${label}: [Circular]`;
+        if (depth + 1 >= options.maxDepth)
+            return `${indent}  ${label}: [Truncated]`;
+        return formatErrorText(value, color, options, depth + 1, seen).replace(/^\s*/, `${indent}  ${label}: `);
+    };
+    const text = lines.map(v => indent + v);
+    if ("cause" in error)
+        text.push(nested("Caused by", error.cause));
+    if (Array.isArray(error.errors))
+        error.errors.forEach((v, i) => text.push(nested(`[${i}]`, v)));
+    seen.delete(error);
+
+    return text.join("\n");
+}
+
+/**
+ * @type {import(".").Formatter}
+ */
+const jsonFormatter = {
+    json: true,
+    format(entry, options) {
+        const object = {
+            timestamp: new Date(entry.timestamp).toISOString(),
+            level: entry.level,
+            component: entry.component,
+            source: entry.source
+        };
+        // the raw arguments stay in msg
+        if (interpolate(entry.messages) !== entry.messages)
+            object.message = plainMessage(entry.messages);
+        // context fields may not replace the fields of the entry itself
+        for (const key in entry.context) {
+            if (!(key in object) && key !== "msg")
+                object[key] = entry.context[key];
+        }
+        object.msg = entry.messages;
+        if (entry.duration !== null && entry.duration !== undefined)
+            object.durationMs = entry.duration;
+        return stringifySafe(object, jsonReplacer(options.errors));
+    }
+};
+
+/**
+ * Renders the messages of an entry as a single line of plain text. Errors are reduced to their name and message
+ * @param {any[]} messages
+ */
+function plainMessage(messages) {
+    return interpolate(messages).map(v => {
+        if (typeof v === "string")
+            return v;
+        if (v instanceof Error)
+            return `${v.name}: ${v.message}`;
+        return inspect(v, { depth: null, breakLength: Infinity });
+    }).join(" ");
+}
+
+/**
+ * Renders the placeholders of a leading format string like `util.format` does
+ * @param {any[]} messages
+ * @param {boolean} colors
+ * @returns {any[]} the messages, with the format string and the arguments it consumed replaced by the rendered string
+ */
+function interpolate(messages, colors = false) {
+    if (typeof messages[0] !== "string")
+        return messages;
+    const placeholders = messages[0].match(/%[sdifjoOc%]/g);
+    if (!placeholders)
+        return messages;
+    const count = Math.min(placeholders.filter(v => v !== "%%").length, messages.length - 1);
+    const rendered = count ? formatWithOptions({ colors }, ...messages.slice(0, count + 1)) : messages[0].replace(/%%/g, "%");
+    return [rendered, ...messages.slice(count + 1)];
+}
+
+/**
+ * @param {any[]} messages
+ * @returns {Error?} the first error among the messages
+ */
+function firstError(messages) {
+    return messages.find(v => v instanceof Error) ?? null;
+}
+
+function logfmtValue(value) {
+    if (typeof value !== "string")
+        value = value instanceof Error ? `${value.name}: ${value.message}` : stringifySafe(value, jsonReplacer()) ?? String(value);
+    if (value && !/[\s"=\\]/.test(value))
+        return value;
+    return `"${value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n").replace(/\r/g, "\\r").replace(/\t/g, "\\t")}"`;
+}
+
+/**
+ * @type {import(".").Formatter}
+ */
+const logfmtFormatter = {
+    json: false,
+    format(entry) {
+        const fields = {
+            time: new Date(entry.timestamp).toISOString(),
+            level: entry.level.toLowerCase(),
+            component: entry.component,
+            source: entry.source ?? undefined,
+            msg: plainMessage(entry.messages),
+            duration_ms: entry.duration ?? undefined
+        };
+        const error = firstError(entry.messages);
+        if (error) {
+            fields["error.type"] = error.name;
+            fields["error.message"] = error.message;
+            fields["error.stack"] = error.stack;
+        }
+        for (const key in entry.context) {
+            if (!(key in fields))
+                fields[key] = entry.context[key];
+        }
+        return Object.entries(fields)
+            .filter(([k, v]) => v !== undefined)
+            .map(([k, v]) => `${k.replace(/[\s="]/g, "_")}=${logfmtValue(v)}`)
+            .join(" ");
+    }
+};
+
+/**
+ * Formats entries as Elastic Common Schema documents
+ * @type {import(".").Formatter}
+ */
+const ecsFormatter = {
+    json: true,
+    format(entry, options) {
+        const object = {
+            "@timestamp": new Date(entry.timestamp).toISOString(),
+            "log.level": entry.level.toLowerCase(),
+            "log.logger": entry.component + (entry.source ? "/" + entry.source : ""),
+            "message": plainMessage(entry.messages),
+            "ecs.version": "8.11.0"
+        };
+        // in nanoseconds
+        if (entry.duration !== null && entry.duration !== undefined)
+            object["event.duration"] = Math.round(entry.duration * 1e6);
+        const error = firstError(entry.messages);
+        if (error) {
+            object.error = {
+                type: error.name,
+                message: error.message,
+                stack_trace: error.stack
+            };
+        }
+        for (const key in entry.context) {
+            if (!(key in object))
+                object[key] = entry.context[key];
+        }
+        return stringifySafe(object, jsonReplacer(options.errors));
+    }
+};
+
+/**
+ * Formats entries as GELF 1.1 messages
+ * @type {import(".").Formatter}
+ */
+const gelfFormatter = {
+    json: true,
+    format(entry, options) {
+        const message = plainMessage(entry.messages);
+        const error = firstError(entry.messages);
+        const object = {
+            version: "1.1",
+            host: hostname(),
+            short_message: message.split("\n")[0],
+            timestamp: entry.timestamp / 1000,
+            level: syslogSeverities[entry.level],
+            _level_name: entry.level,
+            _component: entry.component
+        };
+        if (error || message.includes("\n"))
+            object.full_message = error?.stack ?? message;
+        if (entry.source)
+            object._source = entry.source;
+        if (entry.duration !== null && entry.duration !== undefined)
+            object._duration_ms = entry.duration;
+        if (error) {
+            object._error_type = error.name;
+            object._error_message = error.message;
+        }
+        for (const key in entry.context) {
+            // additional fields must match ^[\w.-]+$ and _id is reserved
+            let name = "_" + key.replace(/[^\w.-]/g, "_");
+            if (name === "_id")
+                name = "_context_id";
+            if (name in object)
+                continue;
+            const value = entry.context[key];
+            object[name] = typeof value === "number" || typeof value === "string" ? value : stringifySafe(value, jsonReplacer(options.errors));
+        }
+        return stringifySafe(object, jsonReplacer(options.errors));
+    }
+};
+
+const defaultTemplate = "[{time}] [{level}] [{source}] {message}";
+
+const defaultTheme = {
+    TRACE: { levelBracket: "#5F5F5F", level: "#808080", sourceBracket: "#5F5F5F", source: "#808080", message: "#808080" },
+    DEBUG: { levelBracket: "#787878", level: "#9F9F9F", sourceBracket: "#787878", source: "#9F9F9F", message: "#9F9F9F" },
+    INFO: { levelBracket: "#0B8E82", level: "#26E2D0" },
+    WARN: { levelBracket: "yellow", level: "yellowBright", sourceBracket: "yellow", source: "yellowBright", message: "yellowBright" },
+    ERROR: { levelBracket: "#9F0000", level: "#FF0000", sourceBracket: "#9F0000", source: "#FF0000", message: "#FF0000" },
+    FATAL: { header: "bgRedBright", levelBracket: "black", level: "#0F0F0F", sourceBracket: "black", source: "#0F0F0F", message: chalk.hex("#0F0F0F").bgRedBright }
+};
+
+const themeKeys = ["time", "timeBracket", "level", "levelBracket", "source", "sourceBracket", "header", "message"];
+
+/**
+ * Creates a formatter writing human readable lines.
+ * The template may contain the placeholders `{time}`, `{level}`, `{source}` and `{message}`, brackets directly around a placeholder are styled with its bracket style
+ * @param {{ template?: string, theme?: Partial<Record<import(".").LogLevel, import(".").LevelTheme>> }} options
+ * @returns {import(".").Formatter}
+ */
+export function textFormatter({ template = defaultTemplate, theme = {} } = {}) {
+    if (typeof template !== "string" || !template.includes("{message}"))
+        throw new TypeError("template must be a string containing '{message}'");
+
+    const segments = [];
+    const placeholder = /(\[?)\{(time|level|source|message)\}(\]?)/g;
+    let index = 0;
+    for (const match of template.matchAll(placeholder)) {
+        if (match.index > index)
+            segments.push({ text: template.slice(index, match.index) });
+        segments.push({ field: match[2], open: match[1], close: match[3] });
+        index = match.index + match[0].length;
+    }
+    if (index < template.length)
+        segments.push({ text: template.slice(index) });
+    const messageIndex = segments.findIndex(v => v.field === "message");
+    // styled by the header style: everything from the first field that isn't the time up to the message
+    const headerIndex = segments.findIndex((v, i) => i < messageIndex && v.field && v.field !== "time");
+
+    const styles = {};
+    for (const level of Object.values(levels)) {
+        const levelTheme = { ...defaultTheme[level], ...theme[level] };
+        styles[level] = {};
+        for (const key of themeKeys)
+            styles[level][key] = themeStyle(levelTheme[key], `theme.${level}.${key}`);
+    }
+
+    return {
+        json: false,
+        format(entry, options) {
+            const style = options.color ? styles[entry.level] : Object.fromEntries(themeKeys.map(v => [v, noColor]));
+            const values = {
+                time: formatTime(entry.timestamp, options.fullTimestamps),
+                level: entry.level,
+                source: (options.color ? options.sourceColor : noColor)((entry.component + (entry.source ? "/" + entry.source : "")).padEnd(options.uniform * options.maxSourceLength))
+            };
+            const render = segment => {
+                if (segment.text !== undefined)
+                    return segment.text;
+                const bracket = style[segment.field + "Bracket"];
+                let text = (segment.open ? bracket(segment.open) : "") + style[segment.field](values[segment.field]) + (segment.close ? bracket(segment.close) : "");
+                if (segment.field === "level")
+                    text += "".padEnd((maxLevelLength - entry.level.length) * options.uniform);
+                return text;
+            };
+
+            let prefix = segments.slice(0, headerIndex === -1 ? messageIndex : headerIndex).map(render).join("");
+            if (headerIndex !== -1)
+                prefix += style.header(segments.slice(headerIndex, messageIndex).map(render).join(""));
+            const suffix = segments.slice(messageIndex + 1).map(render).join("");
+            const content = style.message(formatContext(entry.context) + interpolate(entry.messages, options.color).map(v => {
+                if (typeof v === "string")
+                    return v;
+                if (v instanceof Error)
+                    return formatErrorText(v, options.color, options.errors);
+                return inspect(v, false, null, options.color);
+            }).join(" ") + (entry.duration !== null && entry.duration !== undefined ? ` (${formatDuration(entry.duration)})` : ""));
+            return prefix + content.split("\n").join("\n" + prefix) + suffix;
+        }
+    };
+}
+
+function themeStyle(style, name) {
+    if (style === undefined || style === null)
+        return noColor;
+    if (style instanceof Function)
+        return style;
+    if (typeof style === "string" && /^#[0-9a-fA-F]{6}$/.test(style))
+        return chalk.hex(style);
+    if (typeof style === "string" && chalk[style] instanceof Function)
+        return chalk[style];
+    throw new TypeError(`Expected ${name} to be a function, a hex color or the name of a chalk style, but received ${style} instead`);
+}
+
+const maxLevelLength = 5;
+
+function formatContext(context) {
+    let text = "";
+    for (const key in context) {
+        const value = context[key];
+        const formatted = typeof value === "string"
+            ? (/[\s"=]/.test(value) || !value ? JSON.stringify(value) : value)
+            : inspect(value, { depth: null, breakLength: Infinity });
+        text += `${key}=${formatted} `;
+    }
+    return text;
+}
+
+/**
+ * @param {number} ms
+ */
+function formatDuration(ms) {
+    if (ms < 1000)
+        return `${ms.toFixed(2)}ms`;
+    if (ms < 60000)
+        return `${(ms / 1000).toFixed(2)}s`;
+    return `${Math.floor(ms / 60000)}m ${(ms % 60000 / 1000).toFixed(1)}s`;
+}
+
+function formatTime(ms, full) {
+    const date = new Date(ms);
+    if (full) {
+        return date.toISOString();
+    } else {
+        return `${date.getUTCHours().toString().padStart(2, "0")}:${date.getUTCMinutes().toString().padStart(2, "0")}:${date.getUTCSeconds().toString().padStart(2, "0")}.${date.getUTCMilliseconds().toString().padStart(3, "0")}`
+    }
+}
+
+function writeToStream(stream, content) {
+    return new Promise((res, rej) => {
+        stream.write(content + "\n", (err) => err ? rej(err) : res(null));
+    });
+}
+
+/**
+ * Writes entries to a stream, applying the overflow policy once more than highWaterMark bytes are waiting to be written
+ */
+class StreamWriter {
+    /**
+     * @param {Writable} stream
+     * @param {{ highWaterMark?: number, overflow: "BUFFER" | "DROP" | "BLOCK" }} options
+     */
+    constructor(stream, options) {
+        this.stream = stream;
+        this.highWaterMark = options.highWaterMark ?? stream.writableHighWaterMark ?? 16384;
+        this.overflow = options.overflow;
+        /** @type {{ content: string, resolve: Function, reject: Function }[]} */
+        this.blocked = [];
+        this.onDrain = null;
+        this.onClose = null;
+        if (this.overflow === "BLOCK") {
+            // other code writing to the same stream can fill it, so blocked entries are also released when the stream drains
+            this.onDrain = () => this._unblock();
+            // listening for errors would keep them from the user, streams close after an error by default
+            this.onClose = () => this._reject(this.stream.errored ?? new Error("Stream has been closed"));
+            stream.on("drain", this.onDrain);
+            stream.on("close", this.onClose);
+        }
+    }
+
+    get full() {
+        return this.stream.writableLength >= this.highWaterMark;
+    }
+
+    /**
+     * @param {string} content
+     * @returns {Promise<null | typeof DROPPED>}
+     */
+    write(content) {
+        if (this.overflow !== "BUFFER" && (this.blocked.length || this.full)) {
+            if (this.overflow === "DROP")
+                return Promise.resolve(DROPPED);
+            return new Promise((resolve, reject) => this.blocked.push({ content, resolve, reject }));
+        }
+        return this._write(content);
+    }
+
+    _write(content) {
+        return writeToStream(this.stream, content).finally(() => this._unblock());
+    }
+
+    _unblock() {
+        while (this.blocked.length && !this.full) {
+            const { content, resolve, reject } = this.blocked.shift();
+            this._write(content).then(resolve, reject);
+        }
+    }
+
+    _reject(error) {
+        this.blocked.forEach(v => v.reject(error));
+        this.blocked = [];
+    }
+
+    destroy() {
+        if (this.onDrain) {
+            this.stream.off("drain", this.onDrain);
+            this.stream.off("close", this.onClose);
+        }
+        this._reject(new Error("LoggerFactory has been destroyed"));
+    }
+}
+
+function backpressureOptions(target) {
+    if (target.highWaterMark !== undefined && !(Number.isInteger(target.highWaterMark) && target.highWaterMark > 0))
+        throw new RangeError(`Expected highWaterMark to be a positive integer, but received ${target.highWaterMark} instead`);
+    if (![undefined, "BUFFER", "DROP", "BLOCK"].includes(target.overflow))
+        throw new TypeError("overflow policy must be one of 'BUFFER', 'DROP' or 'BLOCK'");
+    return {
+        highWaterMark: target.highWaterMark,
+        overflow: target.overflow ?? "BUFFER"
+    };
+}
+
+/**
+ * @type {import("http").RequestOptions}
+ */
+const postOptions = {
+    method: "POST",
+};
+
+function postRequest(https, url, content, options) {
+    return new Promise((resolve, reject) => {
+        const functionToUse = https ? httpsRequest : httpRequest;
+        const req = functionToUse(url, options, res => {
+            let text = "";
+
+            res.on("data", chunk => {
+                text += chunk;
+            });
+
+            res.on("end", () => {
+                if (!res.complete) {
+                    reject(new Error("Connection closed before response was fully transmitted"));
+                    return;
+                }
+                const result = {
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: text
+                }
+                resolve(result);
+            });
+
+            res.on("error", e => {
+                reject(e);
+            });
+        });
+
+        req.on("error", e => {
+            req.destroy();
+            reject(e);
+        });
+        req.on("close", () => {
+            req.destroy();
+            reject(new Error("No response received"));
+        });
+
+        req.write(content);
+        req.end();
+    });
+}
+
+/**
+ * Collects log entries and POSTs them in batches, retrying failed batches with exponential backoff.
+ * Network errors and 5xx, 408 and 429 responses are retried, any other status outside 2xx fails the batch right away.
+ * Entries that cannot be delivered are appended to the spool file, if one is configured, and replayed after the next successful request
+ */
+class PostBatcher {
+    /**
+     * @param {boolean} https
+     * @param {string | URL} url
+     * @param {import("http").RequestOptions} options
+     * @param {boolean} json whether the entries are already JSON encoded
+     * @param {{ maxEntries: number, maxWait: number, maxPending: number, format: "NDJSON" | "JSON_ARRAY" }} batch
+     * @param {{ retries: number, minDelay: number, maxDelay: number }} retry
+     * @param {import("fs").PathLike?} spool
+     */
+    constructor(https, url, options, json, batch, retry, spool) {
+        this.https = https;
+        this.url = url;
+        this.options = {
+            ...options,
+            headers: { "content-type": batch.format === "NDJSON" ? "application/x-ndjson" : "application/json", ...options.headers }
+        };
+        this.json = json;
+        this.batch = batch;
+        this.retry = retry;
+        this.spool = spool ? resolvePath(spool) : null;
+        this.spooled = this.spool ? existsSync(this.spool) || existsSync(this.spool + ".replay") : false;
+        this.spoolQueue = Promise.resolve();
+        this.replaying = false;
+        this.entries = [];
+        this.pending = 0;
+        this.timer = null;
+        this.sending = Promise.resolve();
+        this.destroyed = false;
+    }
+
+    push(content) {
+        if (this.pending + this.entries.length >= this.batch.maxPending) {
+            if (!this.spool)
+                return Promise.reject(new Error("Too many entries are waiting to be sent"));
+            return this._spill([content]);
+        }
+        return new Promise((resolve, reject) => {
+            this.entries.push({ content, resolve, reject });
+            if (this.entries.length >= this.batch.maxEntries)
+                this.flush();
+            else if (!this.timer)
+                this.timer = setTimeout(() => this.flush(), this.batch.maxWait);
+        });
+    }
+
+    /**
+     * Sends all collected entries, resolves once every batch handed to the batcher so far has settled
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        while (this.entries.length) {
+            const entries = this.entries.splice(0, this.batch.maxEntries);
+            this.pending += entries.length;
+            this.sending = this.sending.then(() => this._send(entries));
+        }
+        return this.sending;
+    }
+
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        const error = new Error("LoggerFactory has been destroyed");
+        this.entries.splice(0).forEach(v => v.reject(error));
+    }
+
+    async _send(entries) {
+        const body = this.batch.format === "NDJSON"
+            ? entries.map(v => v.content + "\n").join("")
+            : `[${entries.map(v => this.json ? v.content : JSON.stringify(v.content)).join(",")}]`;
+        let error = null;
+        let retryable = true;
+        for (let attempt = 0; attempt <= this.retry.retries && retryable && !this.destroyed; attempt++) {
+            if (attempt > 0)
+                await new Promise(res => setTimeout(res, backoff(attempt - 1, this.retry)));
+            let res;
+            try {
+                res = await postRequest(this.https, this.url, body, this.options);
+            } catch (e) {
+                error = e;
+                continue;
+            }
+            if (res.status >= 200 && res.status < 300) {
+                this.pending -= entries.length;
+                entries.forEach(v => v.resolve(res));
+                if (this.spooled)
+                    this._replay();
+                return;
+            }
+            error = Object.assign(new Error(`Server responded with status ${res.status}`), { response: res });
+            retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+        }
+
+        this.pending -= entries.length;
+        // a batch the server refused would be refused again when replayed
+        if (this.spool && retryable) {
+            try {
+                await this._spill(entries.map(v => v.content));
+                entries.forEach(v => v.resolve(null));
+                return;
+            } catch (e) {
+                error = e;
+            }
+        }
+        entries.forEach(v => v.reject(error));
+    }
+
+    _spill(contents) {
+        this.spooled = true;
+        this.spoolQueue = this.spoolQueue.then(() => appendFile(this.spool, contents.map(v => JSON.stringify(v) + "\n").join("")));
+        const result = this.spoolQueue.then(() => null);
+        this.spoolQueue = this.spoolQueue.catch(() => null);
+        return result;
+    }
+
+    /**
+     * Moves the spool file aside and sends its entries again, reading no more of it than maxPending allows at a time
+     */
+    _replay() {
+        if (this.replaying)
+            return;
+        this.replaying = true;
+        this.spooled = false;
+        const file = this.spool + ".replay";
+        // a replay file is left behind if the process ended during a replay
+        const moved = this.spoolQueue.then(() => existsSync(file) ? null : rename(this.spool, file));
+        this.spoolQueue = moved.catch(() => null);
+        moved
+            .then(() => this._replayFile(file))
+            .catch(() => null)
+            .finally(() => {
+                this.replaying = false;
+                if (existsSync(this.spool))
+                    this.spooled = true;
+            });
+    }
+
+    async _replayFile(file) {
+        let contents = [];
+        for await (const line of createInterface({ input: createReadStream(file), crlfDelay: Infinity })) {
+            try {
+                contents.push(JSON.parse(line));
+            } catch {
+                // incomplete line written while the process ended
+                continue;
+            }
+            if (contents.length >= this.batch.maxEntries) {
+                await this._requeue(contents);
+                contents = [];
+            }
+        }
+        await this._requeue(contents);
+        await rm(file);
+    }
+
+    async _requeue(contents) {
+        while (!this.destroyed && this.pending + this.entries.length && this.pending + this.entries.length + contents.length > this.batch.maxPending)
+            await this.flush();
+        if (this.destroyed)
+            return this._spill(contents);
+        this.entries.unshift(...contents.map(content => ({ content, resolve: noop, reject: noop })));
+        this.flush();
+    }
+}
+
+function backoff(attempt, retry) {
+    const delay = Math.min(retry.maxDelay, retry.minDelay * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+function batchOptions(batch) {
+    if (batch === true)
+        batch = {};
+    if (!["NDJSON", "JSON_ARRAY", undefined].includes(batch.format))
+        throw new TypeError("batch format must be one of 'NDJSON', 'JSON_ARRAY'");
+    if (batch.maxEntries !== undefined && !(Number.isInteger(batch.maxEntries) && batch.maxEntries > 0))
+        throw new RangeError(`Expected batch.maxEntries to be a positive integer, but received ${batch.maxEntries} instead`);
+    for (const key of ["maxWait", "maxPending"]) {
+        if (batch[key] !== undefined && !(batch[key] >= 0))
+            throw new RangeError(`Expected batch.${key} to be a non-negative number, but received ${batch[key]} instead`);
+    }
+    return {
+        maxEntries: batch.maxEntries ?? 100,
+        maxWait: batch.maxWait ?? 1000,
+        maxPending: batch.maxPending ?? 10000,
+        format: batch.format ?? "NDJSON"
+    };
+}
+
+function retryOptions(retry) {
+    retry = retry ?? {};
+    for (const key of ["retries", "minDelay", "maxDelay"]) {
+        if (retry[key] !== undefined && !(retry[key] >= 0))
+            throw new RangeError(`Expected retry.${key} to be a non-negative number, but received ${retry[key]} instead`);
+    }
+    return {
+        retries: retry.retries ?? 5,
+        minDelay: retry.minDelay ?? 100,
+        maxDelay: retry.maxDelay ?? 10000
+    };
+}
+
+/**
+ * Sends messages to a syslog server over UDP, TCP or a unix stream socket.
+ * Node cannot open unix datagram sockets, so connecting to one, like /dev/log on most systems, fails with a descriptive error.
+ * Stream connections are established lazily and reestablished on the next message after they fail
+ */
+class SyslogClient {
+    /**
+     * @param {ReturnType<typeof syslogOptions>} options
+     */
+    constructor(options) {
+        this.options = options;
+        this.socket = null;
+        this.connecting = null;
+        this.destroyed = false;
+    }
+
+    /**
+     * @param {string} content
+     * @param {import(".").LogLevel} level
+     * @param {number} timestamp
+     * @param {string} component
+     */
+    async send(content, level, timestamp, component) {
+        if (this.destroyed)
+            throw new Error("Syslog client has been destroyed");
+        const message = Buffer.from(this._message(content, level, timestamp, component));
+
+        if (this.options.transport === "udp") {
+            if (!this.socket) {
+                this.socket = createSocket(this.options.host.includes(":") ? "udp6" : "udp4");
+                this.socket.on("error", () => null);
+                this.socket.unref();
+            }
+            return await new Promise((res, rej) => this.socket.send(message, this.options.port, this.options.host, err => err ? rej(err) : res(null)));
+        }
+
+        const socket = await this._connect();
+        // octet counting framing over TCP, newline terminated messages over unix sockets, whose line breaks are escaped so multi-line entries stay one record
+        const frame = this.options.transport === "tcp"
+            ? Buffer.concat([Buffer.from(message.length + " "), message])
+            : Buffer.from(message.toString().replace(/\r/g, "\\r").replace(/\n/g, "\\n") + "\n");
+        return await new Promise((res, rej) => socket.write(frame, err => err ? rej(err) : res(null)));
+    }
+
+    end() {
+        this.destroyed = true;
+        const socket = this.socket;
+        this.socket = null;
+        if (!socket || this.options.transport === "udp") {
+            socket?.close();
+            return Promise.resolve();
+        }
+        return new Promise(res => socket.end(res));
+    }
+
+    destroy() {
+        this.destroyed = true;
+        if (this.options.transport === "udp")
+            this.socket?.close();
+        else
+            this.socket?.destroy();
+        this.socket = null;
+    }
+
+    _connect() {
+        if (this.socket)
+            return Promise.resolve(this.socket);
+        if (!this.connecting) {
+            this.connecting = new Promise((res, rej) => {
+                const socket = this.options.transport === "tcp"
+                    ? connect(this.options.port, this.options.host)
+                    : connect(this.options.path);
+                socket.once("connect", () => {
+                    this.connecting = null;
+                    this.socket = socket;
+                    socket.unref();
+                    res(socket);
+                });
+                socket.on("error", e => {
+                    this.connecting = null;
+                    if (e.code === "EPROTOTYPE")
+                        e = new Error(`${this.options.path} is a unix datagram socket, which Node cannot write to. Use a unix stream socket, or the UDP or TCP transport`, { cause: e });
+                    rej(e);
+                });
+                socket.on("close", () => {
+                    if (this.socket === socket)
+                        this.socket = null;
+                });
+            });
+        }
+        return this.connecting;
+    }
+
+    _message(content, level, timestamp, component) {
+        const { facility, hostname, appName, format } = this.options;
+        const priority = facility * 8 + syslogSeverities[level];
+        if (format === "RFC3164") {
+            const date = new Date(timestamp);
+            const time = `${months[date.getMonth()]} ${date.getDate().toString().padStart(2, " ")} ${date.toTimeString().slice(0, 8)}`;
+            return `<${priority}>${time} ${hostname} ${appName}[${process.pid}]: ${content}`;
+        }
+        const msgId = syslogName(component, 32);
+        return `<${priority}>1 ${new Date(timestamp).toISOString()} ${hostname} ${appName} ${process.pid} ${msgId} - ${content}`;
+    }
+}
+
+const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Restricts a header field to printable ASCII without spaces, as required by RFC 5424
+ */
+function syslogName(name, maxLength) {
+    return name.replace(/[^\x21-\x7E]/g, "_").slice(0, maxLength) || "-";
+}
+
+const syslogFacilities = {
+    kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+    uucp: 8, cron: 9, authpriv: 10, ftp: 11, ntp: 12, security: 13, console: 14, solaris_cron: 15,
+    local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+function syslogOptions(target) {
+    const transport = target.transport ?? "udp";
+    if (!["udp", "tcp", "unix"].includes(transport))
+        throw new TypeError("syslog transport must be one of 'udp', 'tcp' or 'unix'");
+    const format = target.format ?? "RFC5424";
+    if (!["RFC5424", "RFC3164"].includes(format))
+        throw new TypeError("syslog format must be one of 'RFC5424' or 'RFC3164'");
+    if (transport === "unix" && (typeof target.path !== "string" || !target.path))
+        throw new TypeError("unix syslog targets require the path of a unix stream socket");
+    const facility = typeof target.facility === "number" ? target.facility : syslogFacilities[target.facility ?? "user"];
+    if (!(Number.isInteger(facility) && facility >= 0 && facility < 24))
+        throw new RangeError(`Expected facility to be a facility name or a number between 0 and 23, but received ${target.facility} instead`);
+    return {
+        transport: transport,
+        host: target.host ?? "localhost",
+        port: target.port ?? 514,
+        path: target.path ?? null,
+        format: format,
+        facility: facility,
+        appName: syslogName(target.appName ?? process.title, 48),
+        hostname: syslogName(target.hostname ?? hostname(), 255)
+    };
+}
+
+/**
+ * Streams entries to HTTP clients as Server-Sent Events or newline delimited lines.
+ * Clients filter with the `level` and `component` query parameters, and are disconnected once more than maxBuffer bytes wait to be sent to them
+ */
+class LogServer {
+    /**
+     * @param {{ port: number, host: string, path: string, token: string?, maxBuffer: number }} options
+     */
+    constructor(options) {
+        this.options = options;
+        /** @type {Set<{ res: import("http").ServerResponse, sse: boolean, level: number, components: RegExp[] }>} */
+        this.clients = new Set();
+        this.error = null;
+        this.server = createHttpServer((req, res) => this._connect(req, res));
+        this.server.on("error", e => this.error = e);
+        // the server alone should not keep the process running
+        this.server.unref();
+        this.server.listen(options.port, options.host);
+    }
+
+    _connect(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        if (req.method !== "GET" || url.pathname !== this.options.path)
+            return res.writeHead(404).end();
+        if (this.options.token !== null && !tokenMatches(this.options.token, req.headers.authorization?.replace(/^Bearer /, "") ?? url.searchParams.get("token")))
+            return res.writeHead(401, { "WWW-Authenticate": "Bearer" }).end();
+
+        let level, components;
+        try {
+            level = logLevelNum(url.searchParams.get("level")?.toUpperCase());
+            components = url.searchParams.getAll("component").map(patternRegex);
+        } catch (e) {
+            return res.writeHead(400).end(e.message);
+        }
+        const format = url.searchParams.get("format");
+        const sse = format === null ? req.headers.accept?.includes("text/event-stream") ?? false : format === "sse";
+
+        res.writeHead(200, {
+            "Content-Type": sse ? "text/event-stream" : "application/x-ndjson",
+            "Cache-Control": "no-cache"
+        });
+        res.flushHeaders();
+        const client = { res, sse, level, components };
+        this.clients.add(client);
+        res.on("close", () => this.clients.delete(client));
+    }
+
+    /**
+     * @param {string} content
+     * @param {number} level
+     * @param {Logger} logger
+     */
+    send(content, level, logger) {
+        if (this.error)
+            return Promise.reject(this.error);
+        for (const client of this.clients) {
+            if (level > client.level || (client.components.length && !client.components.some(v => matchesSource(v, logger))))
+                continue;
+            const chunk = client.sse ? content.split("\n").map(v => `data: ${v}\n`).join("") + "\n" : content + "\n";
+            // clients that cannot keep up are dropped instead of buffering without bound
+            if (client.res.writableLength + Buffer.byteLength(chunk) > this.options.maxBuffer) {
+                this.clients.delete(client);
+                client.res.destroy();
+                continue;
+            }
+            client.res.write(chunk);
+        }
+        return null;
+    }
+
+    end() {
+        this.clients.forEach(v => v.res.end());
+        this.clients.clear();
+        return new Promise(res => this.server.close(() => res()));
+    }
+
+    destroy() {
+        this.clients.forEach(v => v.res.destroy());
+        this.clients.clear();
+        this.server.close();
+        // Node before 18.2 closes idle keep-alive connections only after their timeout
+        this.server.closeAllConnections?.();
+    }
+}
+
+function tokenMatches(expected, received) {
+    if (typeof received !== "string")
+        return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function serverOptions(target) {
+    if (!(Number.isInteger(target.port) && target.port >= 0 && target.port < 65536))
+        throw new RangeError(`Expected port to be an integer between 0 and 65535, but received ${target.port} instead`);
+    if (target.token !== undefined && target.token !== null && (typeof target.token !== "string" || !target.token))
+        throw new TypeError("token must be a non-empty string");
+    if (target.maxBuffer !== undefined && !(Number.isInteger(target.maxBuffer) && target.maxBuffer > 0))
+        throw new RangeError(`Expected maxBuffer to be a positive integer, but received ${target.maxBuffer} instead`);
+    return {
+        port: target.port,
+        host: target.host ?? "127.0.0.1",
+        path: target.path ?? "/",
+        token: target.token ?? null,
+        maxBuffer: target.maxBuffer ?? 1048576
+    };
+}
+
+/**
+ * Wraps a function, so its return value is logged in its place. The function is only called if a target writes the entry
+ * @param {() => any} fn
+ */
+export function lazy(fn) {
+    if (typeof fn !== "function")
+        throw new TypeError(`Expected fn to be a function, but received ${fn} instead`);
+    return new LazyValue(fn);
+}
+
+export function createLoggerFactory(targets, options = {}) {
+    const factory = new LoggerFactory(parseTargets(targets, options));
+    return factory;
+}
+
+/**
+ * Creates a new instance of LoggerFactory from a JSON config file, optionally rebuilding its targets when the file changes
+ * @param {import("fs").PathLike} path
+ * @param {{ watch?: boolean, interval?: number, onReload?: (error: Error?) => void }} options
+ */
+export function createLoggerFactoryFromConfig(path, { watch = false, interval = 1000, onReload = null } = {}) {
+    path = resolvePath(path);
+    let factory;
+    try {
+        const config = loadConfig(path);
+        factory = createLoggerFactory(config.targets, config.options);
+    } catch (e) {
+        throw configError(path, e);
+    }
+
+    if (watch) {
+        const listener = (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs || factory.destroyed || factory.closing)
+                return;
+            let error = null;
+            try {
+                const config = loadConfig(path);
+                factory.reconfigure(config.targets, config.options);
+            } catch (e) {
+                error = configError(path, e);
+            }
+            if (onReload) {
+                onReload(error);
+            } else if (error) {
+                new Logger("easy-node-logging", "config", noColor, factory).error(error).catch(noop);
+            }
+        };
+        watchFile(path, { interval, persistent: false }, listener);
+        factory.stopWatching = () => unwatchFile(path, listener);
+    }
+
+    return factory;
+}
+
+/**
+ * Reads a config file, replacing `${NAME}` and `${NAME:-default}` in strings with environment variables
+ * @param {import("fs").PathLike} path
+ * @returns {{ targets: import(".").Target[], options: import(".").FactoryOptions }}
+ */
+function loadConfig(path) {
+    const config = substituteEnv(JSON.parse(readFileSync(path, "utf-8")));
+    if (Array.isArray(config))
+        return { targets: config, options: {} };
+    if (typeof config !== "object" || config === null || !Array.isArray(config.targets))
+        throw new TypeError("config must be an array of targets or an object with a targets array");
+    return { targets: config.targets, options: config.options ?? {} };
+}
+
+function configError(path, cause) {
+    return new Error(`Invalid logging config ${path}: ${cause.message}`, { cause });
+}
+
+function substituteEnv(value) {
+    if (typeof value === "string") {
+        return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            const env = process.env[name] ?? fallback;
+            if (env === undefined)
+                throw new Error(`Environment variable ${name} is not set`);
+            return env;
+        });
+    }
+    if (Array.isArray(value))
+        return value.map(substituteEnv);
+    if (typeof value === "object" && value !== null)
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substituteEnv(v)]));
+    return value;
+}
+
+/**
+ * Validates the targets and opens their resources. If a target is invalid, the resources of the previous targets are released again
+ * @param {import(".").Target[] | import(".").Target} targets
+ * @param {import(".").FactoryOptions} options
+ * @returns {import(".").ParsedTarget[]}
+ */
+function parseTargets(targets, options) {
+    if (!Array.isArray(targets)) {
+        targets = [targets];
+    }
+
+    const parsedTargets = [];
+
+    try {
+        const workerTargets = targets.filter(v => v?.worker);
+        const transport = workerTargets.length ? new WorkerTransport(workerTargets.map(workerTarget), { redact: options.redact }, workerOptions(options.worker)) : null;
+        for (const target of targets) {
+            if (target?.worker) {
+                parsedTargets.push({
+                    type: "WORKER",
+                    transport: transport,
+                    index: workerTargets.indexOf(target),
+                    ...baseTargetOptions(target, options),
+                    // redacted and formatted in the worker
+                    redact: null
+                });
+            } else {
+                parsedTargets.push(parseTarget(target, options));
+            }
+        }
+        const names = parsedTargets.map(v => v.name).filter(v => v !== null);
+        const duplicate = names.find((v, i) => names.indexOf(v) !== i);
+        if (duplicate !== undefined)
+            throw new TypeError(`Target names must be unique, but '${duplicate}' is used more than once`);
+        for (const v of parsedTargets) {
+            if (v.type !== "MEMORY" || v.memory.dumpTo === null)
+                continue;
+            const dumpTarget = parsedTargets[v.memory.dumpTo];
+            if (!dumpTarget || dumpTarget.type === "MEMORY")
+                throw new RangeError(`Expected dumpTo to be the index of another target, but received ${v.memory.dumpTo} instead`);
+            v.memory.dumpTarget = dumpTarget;
+        }
+        const levelEnv = options.levelEnv;
+        if (levelEnv && process.env[levelEnv]) {
+            const spec = parseLevelSpec(process.env[levelEnv]);
+            const invalid = spec.find(v => levelNums[v.level] === undefined || v.component === "");
+            // a typo in the environment should not keep the application from starting
+            if (invalid) {
+                process.emitWarning(`Ignoring ${levelEnv}='${process.env[levelEnv]}', log levels must be one of 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL' and patterns must not be empty. Using the configured levels instead`);
+            } else {
+                for (const { level, component } of spec)
+                    parsedTargets.forEach(v => setTargetLevel(v, level, component));
+            }
+        }
+    } catch (e) {
+        parsedTargets.forEach(destroyTarget);
+        throw e;
+    }
+
+    return parsedTargets;
+}
+
+/**
+ * @param {import(".").Target} target
+ * @param {import(".").FactoryOptions} options
+ * @returns {import(".").ParsedTarget}
+ */
+function parseTarget(target, options) {
+    const base = baseTargetOptions(target, options);
+    if (target.sync)
+        return parseSyncTarget(target, base);
+    switch (target.type) {
+        case "FILE":
+            const stream = createStream(target.path, target.failIfExists, rotationOptions(target.rotate));
+            if (target.errorListener)
+                stream.on("error", target.errorListener);
+            return {
+                type: "STREAM",
+                stream: stream,
+                writer: new StreamWriter(stream, { overflow: "BUFFER" }),
+                private: true,
+                ...base
+            };
+        case "STREAM":
+            if (!(target.stream instanceof Writable))
+                throw new TypeError("stream must be a Writable");
+            return {
+                type: "STREAM",
+                stream: target.stream,
+                writer: new StreamWriter(target.stream, backpressureOptions(target)),
+                private: false,
+                ...base
+            };
+        case "POST":
+            const requestOptions = target.options ? { ...target.options, ...postOptions } : postOptions;
+            if (target.batch) {
+                return {
+                    type: "BATCH",
+                    batcher: new PostBatcher(target.https ?? true, target.url, requestOptions, base.format.json === true, batchOptions(target.batch), retryOptions(target.retry), target.spool ?? null),
+                    ...base
+                };
+            }
+            return {
+                type: (target.https ?? true) ? "HTTPS" : "HTTP",
+                url: target.url,
+                options: requestOptions,
+                ...base
+            };
+        case "SYSLOG":
+            return {
+                type: "SYSLOG",
+                syslog: new SyslogClient(syslogOptions(target)),
+                ...base
+            };
+        case "STDOUT":
+            return {
+                type: "FUNCTION",
+                func: content => bypassingCapture(console.log, content),
+                ...base
+            };
+        case "STDERR":
+            return {
+                type: "FUNCTION",
+                func: content => bypassingCapture(console.error, content),
+                ...base
+            };
+        case "SERVER":
+            return {
+                type: "SERVER",
+                server: new LogServer(serverOptions(target)),
+                ...base,
+                format: logStyle(target.style ?? "JSON")
+            };
+        case "MEMORY":
+            return {
+                type: "MEMORY",
+                memory: new MemoryBuffer(memoryOptions(target)),
+                ...base
+            };
+        case "FUNCTION":
+            if (!(target.function instanceof Function))
+                throw new Error("function must be a Function");
+            return {
+                type: "FUNCTION",
+                func: target.function,
+                ...base
+            };
+        default:
+            throw new TypeError(`Invalid target type: ${target.type}`);
+    }
+}
+
+/**
+ * Parses a target with `sync: true`, which writes to a file descriptor before the log function returns
+ * @param {import(".").Target} target
+ * @param {object} base
+ * @returns {import(".").ParsedTarget}
+ */
+function parseSyncTarget(target, base) {
+    switch (target.type) {
+        case "FILE":
+            if (target.rotate)
+                throw new TypeError("sync FILE targets cannot rotate");
+            return {
+                type: "FD",
+                fd: openSync(resolvePath(target.path), target.failIfExists ? "ax" : "a"),
+                private: true,
+                ...base
+            };
+        case "STREAM":
+            if (!(target.stream instanceof Writable))
+                throw new TypeError("stream must be a Writable");
+            if (typeof target.stream.fd !== "number")
+                throw new TypeError("sync STREAM targets require a stream with an open file descriptor");
+            return { type: "FD", fd: target.stream.fd, private: false, ...base };
+        case "STDOUT":
+            return { type: "FD", fd: 1, private: false, ...base };
+        case "STDERR":
+            return { type: "FD", fd: 2, private: false, ...base };
+        default:
+            throw new TypeError(`${target.type} targets cannot be sync`);
+    }
+}
+
+const writeRetries = 100;
+const writeRetryDelay = 10;
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Writes the whole content to the file descriptor. While a non-blocking descriptor is busy, the thread sleeps shortly before retrying,
+ * and gives up once the descriptor stayed busy for about a second
+ * @param {number} fd
+ * @param {string} content
+ */
+function writeFully(fd, content) {
+    const buffer = Buffer.from(content + "\n");
+    let offset = 0;
+    let retries = 0;
+    while (offset < buffer.length) {
+        try {
+            offset += writeSync(fd, buffer, offset);
+            retries = 0;
+        } catch (e) {
+            if (e.code !== "EAGAIN")
+                throw e;
+            if (++retries > writeRetries)
+                throw new Error(`File descriptor ${fd} stayed busy for ${writeRetries * writeRetryDelay}ms`, { cause: e });
+            Atomics.wait(sleepCell, 0, 0, writeRetryDelay);
+        }
+    }
+    return null;
+}
+
+/**
+ * Sends the entries a target holds back, like batches
+ * @param {import(".").ParsedTarget} target
+ */
+function flushTarget(target) {
+    if (target.type === "BATCH")
+        return target.batcher.flush();
+    if (target.type === "WORKER")
+        return target.transport.flush();
+    return null;
+}
+
+/**
+ * Releases the resources of a target immediately
+ * @param {import(".").ParsedTarget} target
+ */
+function destroyTarget(target) {
+    if (target.type === "FD" && target.private === true && target.fd !== null) {
+        closeSync(target.fd);
+        target.fd = null;
+    }
+    if (target.type === "STREAM")
+        target.writer.destroy();
+    if (target.type === "STREAM" && target.private === true)
+        target.stream.destroy();
+    if (target.type === "BATCH")
+        target.batcher.destroy();
+    if (target.type === "SYSLOG")
+        target.syslog.destroy();
+    if (target.type === "SERVER")
+        target.server.destroy();
+    if (target.type === "WORKER")
+        target.transport.destroy();
+    target.limiter?.destroy();
+}
+
+/**
+ * Closes the resources of a target after everything written to them has been flushed
+ * @param {import(".").ParsedTarget} target
+ */
+function endTarget(target) {
+    if (target.type === "STREAM" && target.private === true)
+        return new Promise(res => target.stream.end(res));
+    if (target.type === "SYSLOG")
+        return target.syslog.end();
+    if (target.type === "SERVER")
+        return target.server.end();
+    if (target.type === "WORKER")
+        return target.transport.close();
+}
+
+/**
+ * Validates a target that is moved to a worker and prepares it for being sent there.
+ * Filtering happens on the main thread, so the worker accepts all entries it receives
+ * @param {import(".").Target} target
+ */
+function workerTarget(target) {
+    switch (target.type) {
+        case "FILE":
+            rotationOptions(target.rotate);
+            if (target.errorListener)
+                throw new TypeError("FILE targets in a worker cannot have an errorListener");
+            target = { ...target, path: resolvePath(target.path) };
+            if (target.path instanceof URL)
+                target.path = fileURLToPath(target.path);
+            break;
+        case "POST":
+            if (target.batch)
+                batchOptions(target.batch);
+            retryOptions(target.retry);
+            break;
+        case "SYSLOG":
+            syslogOptions(target);
+            break;
+        case "STDOUT":
+        case "STDERR":
+            break;
+        default:
+            throw new TypeError(`${target.type} targets cannot be moved to a worker`);
+    }
+    if (typeof target.style !== "string" && target.style !== undefined && target.style !== null)
+        throw new TypeError("targets in a worker must use one of the built-in styles");
+    if (target.sync)
+        throw new TypeError("sync targets cannot be moved to a worker");
+
+    return { ...target, worker: false, logLevel: "TRACE", include: null, exclude: null, sample: null, dedupe: null, rateLimit: null };
+}
+
+function workerOptions(worker) {
+    worker = worker ?? {};
+    if (worker.maxQueue !== undefined && !(Number.isInteger(worker.maxQueue) && worker.maxQueue > 0))
+        throw new RangeError(`Expected worker.maxQueue to be a positive integer, but received ${worker.maxQueue} instead`);
+    if (![undefined, "BLOCK", "DROP_OLDEST", "DROP_NEWEST"].includes(worker.overflow))
+        throw new TypeError("worker overflow policy must be one of 'BLOCK', 'DROP_OLDEST' or 'DROP_NEWEST'");
+    return {
+        maxQueue: worker.maxQueue ?? 10000,
+        overflow: worker.overflow ?? "BLOCK"
+    };
+}
+
+// indices into the counters shared with the worker
+const DONE = 0;
+const PICKED = 1;
+const DROP_MARK = 2;
+
+/**
+ * Formats and writes entries of some targets in a worker thread.
+ * Entries are numbered, the worker counts finished entries in shared memory, so the queue can be bounded without waiting for messages
+ */
+class WorkerTransport {
+    /**
+     * @param {import(".").Target[]} targets
+     * @param {import(".").FactoryOptions} options
+     * @param {{ maxQueue: number, overflow: "BLOCK" | "DROP_OLDEST" | "DROP_NEWEST" }} queue
+     */
+    constructor(targets, options, queue) {
+        this.queue = queue;
+        this.counters = new Int32Array(new SharedArrayBuffer(3 * Int32Array.BYTES_PER_ELEMENT));
+        this.seq = 0;
+        this.pending = new Map();
+        /** @type {{ target: number, entry: object, resolve: Function, reject: Function }[]} entries waiting for a free slot in the queue */
+        this.waiting = [];
+        this.error = null;
+        this.flushing = null;
+        this.closePromise = null;
+        try {
+            this.worker = new Worker(new URL(import.meta.url), {
+                workerData: { easyNodeLoggingWorker: true, targets, options, counters: this.counters }
+            });
+        } catch (e) {
+            // the worker data is cloned right away, so targets holding functions or other uncloneable values fail here
+            if (e?.name !== "DataCloneError")
+                throw e;
+            throw new TypeError(`targets cannot be moved to a worker: ${e.message}`);
+        }
+        this.worker.unref();
+        this.worker.on("message", message => {
+            if (message.type !== "done")
+                return;
+            const entry = this.pending.get(message.seq);
+            this.pending.delete(message.seq);
+            if (!this.pending.size)
+                this.worker.unref();
+            if (message.error)
+                entry.reject(message.error);
+            else
+                entry.resolve(message.dropped ? DROPPED : null);
+            this._release();
+        });
+        this.worker.on("error", e => this._fail(e));
+        this.worker.on("exit", () => this._fail(new Error("Logging worker exited")));
+    }
+
+    /**
+     * @param {number} target the index of the target in the worker
+     * @param {object} entry
+     */
+    post(target, entry) {
+        if (this.error)
+            return Promise.reject(this.error);
+
+        if (this.waiting.length || this._full()) {
+            switch (this.queue.overflow) {
+                case "BLOCK":
+                    // waits without blocking the thread, entries are posted in order as the worker finishes others
+                    return new Promise((resolve, reject) => this.waiting.push({ target, entry, resolve, reject }));
+                case "DROP_OLDEST":
+                    const oldest = Math.max(Atomics.load(this.counters, PICKED), Atomics.load(this.counters, DROP_MARK)) + 1;
+                    if (oldest <= this.seq) {
+                        // the worker reports the dropped entry once it skips it
+                        Atomics.store(this.counters, DROP_MARK, oldest);
+                        break;
+                    }
+                    // every queued entry is already being written
+                    return Promise.resolve(DROPPED);
+                case "DROP_NEWEST":
+                    return Promise.resolve(DROPPED);
+            }
+        }
+
+        return this._send(target, entry);
     }
 
-    get destroyed() {
-        return this.manager.destroyed;
+    _full() {
+        return this.seq - Atomics.load(this.counters, DONE) >= this.queue.maxQueue;
     }
 
-    trace(...messages) {
-        return _log(this.manager.targets, messages, levelNums.TRACE, this, this.manager.maxSourceLength)
+    _send(target, entry) {
+        const seq = ++this.seq;
+        return new Promise((resolve, reject) => {
+            this.pending.set(seq, { resolve, reject });
+            this.worker.ref();
+            this.worker.postMessage({ type: "entry", seq, target, entry });
+        });
     }
 
-    debug(...messages) {
-        return _log(this.manager.targets, messages, levelNums.DEBUG, this, this.manager.maxSourceLength);
+    _release() {
+        while (this.waiting.length && !this.error && !this._full()) {
+            const { target, entry, resolve, reject } = this.waiting.shift();
+            this._send(target, entry).then(resolve, reject);
+        }
     }
 
-    info(...messages) {
-        return _log(this.manager.targets, messages, levelNums.INFO, this, this.manager.maxSourceLength);
+    /**
+     * Makes the worker send the entries its targets hold back
+     */
+    flush() {
+        if (this.error)
+            return Promise.resolve();
+        this.flushing ??= new Promise(res => {
+            const onMessage = message => {
+                if (message.type !== "flushed")
+                    return;
+                done();
+            };
+            const done = () => {
+                this.worker.off("message", onMessage);
+                this.worker.off("exit", done);
+                if (!this.pending.size)
+                    this.worker.unref();
+                this.flushing = null;
+                res();
+            };
+            this.worker.ref();
+            this.worker.on("message", onMessage);
+            this.worker.once("exit", done);
+            this.worker.postMessage({ type: "flush" });
+        });
+        return this.flushing;
     }
 
-    warn(...messages) {
-        return _log(this.manager.targets, messages, levelNums.WARN, this, this.manager.maxSourceLength);
+    /**
+     * Waits for the worker to write all entries and close its targets
+     */
+    close() {
+        if (this.closePromise)
+            return this.closePromise;
+        this.closePromise = new Promise(res => {
+            if (this.error)
+                return res();
+            this.worker.ref();
+            this.worker.on("message", message => message.type === "closed" && res());
+            this.worker.once("exit", () => res());
+            this.worker.postMessage({ type: "close" });
+        });
+        return this.closePromise;
     }
 
-    error(...messages) {
-        return _log(this.manager.targets, messages, levelNums.ERROR, this, this.manager.maxSourceLength);
+    destroy() {
+        this._fail(new Error("LoggerFactory has been destroyed"));
+        this.worker.terminate();
     }
 
-    fatal(...messages) {
-        return _log(this.manager.targets, messages, levelNums.FATAL, this, this.manager.maxSourceLength);
+    _fail(error) {
+        if (this.error)
+            return;
+        this.error = error;
+        this.pending.forEach(v => v.reject(error));
+        this.pending.clear();
+        this.waiting.splice(0).forEach(v => v.reject(error));
     }
 }
 
 /**
- * @param {import(".").ParsedTarget[]} targets
- * @param {any[]} messages
- * @param {number} level
- * @param {Logger} logger
- * @param {number} maxSourceLength
+ * Entry point of logging workers
+ * @param {{ targets: import(".").Target[], options: import(".").FactoryOptions, counters: Int32Array }} data
  */
-function _log(targets, messages, level, logger, maxSourceLength) {
-    if (logger.destroyed)
-        throw new Error("Logger has been destroyed");
-    const timestamp = Date.now();
-    return Promise.all(targets.map((v, i) => {
-        if (v.level < level)
+function runWorker({ targets, options, counters }) {
+    const factory = new LoggerFactory(parseTargets(targets, options));
+
+    parentPort.on("message", async message => {
+        if (message.type === "flush") {
+            await Promise.allSettled(factory.targets.map(flushTarget));
+            parentPort.postMessage({ type: "flushed" });
             return;
-        return (async () => {
-            const content = format(messages, level, logger.component, logger.source, logger.color, v.uniform, maxSourceLength, v.format, v.color, timestamp, v.fullTimestamps);
+        }
+        if (message.type === "close") {
+            await factory.close();
+            parentPort.postMessage({ type: "closed" });
+            parentPort.close();
+            return;
+        }
+
+        const { seq, target, entry } = message;
+        Atomics.store(counters, PICKED, seq);
+        let error = null;
+        const dropped = seq <= Atomics.load(counters, DROP_MARK);
+        if (!dropped) {
+            const logger = new Logger(entry.component, entry.source, entry.hex ? sourceColorFunction(entry.hex) : noColor, factory, fromCloneable(entry.context));
             try {
-                switch (v.type) {
-                    case "STREAM":
-                        return await writeToStream(v.stream, content)
-                    case "FUNCTION":
-                        return await v.func(content);
-                    case "HTTP":
-                        return await postRequest(false, v.url, content, v.options);
-                    case "HTTPS":
-                        return await postRequest(true, v.url, content, v.options);
-                }
+                await factory._track(_log([factory.targets[target]], fromCloneable(entry.messages), levelNums[entry.level], logger, entry.maxSourceLength, entry.timestamp, undefined, entry.duration));
             } catch (e) {
-                switch (v.errorPolicy) {
-                    case "THROW":
-                        throw e;
-                    case "LOG":
-                        if (!logger.destroyed)
-                            return _log(targets.map(v => ({ ...v, errorPolicy: "IGNORE" })), [`Failed to log to target ${i}:`, { timestamp: new Date(timestamp).toISOString(), level: levels[level], messages, error: e }], Math.min(level, levelNums.ERROR), logger, maxSourceLength);
-                }
-            };
-        })();
-    }).filter(v => v));
+                error = e;
+            }
+        }
+        Atomics.add(counters, DONE, 1);
+        parentPort.postMessage({ type: "done", seq, error, dropped });
+    });
 }
 
+const errorMark = "__easyNodeLoggingError";
+
 /**
- * @param {any[]} messages
- * @param {number} level
- * @param {string} component
- * @param {string?} source
- * @param {Function} sourceColor
- * @param {boolean} uniform
- * @param {number} maxSourceLength
- * @param {"TEXT" | "JSON"} format
- * @param {boolean} color
- * @param {number} timestamp
- * @param {boolean} fullTimestamps
- */
-function format(messages, level, component, source, sourceColor, uniform, maxSourceLength, format, color, timestamp, fullTimestamps) {
-    const maxCategoryLength = 5;
-    if (format === "JSON") {
-        return stringifySafe({
-            timestamp: new Date(timestamp).toISOString(),
-            level: levels[level],
-            component: component,
-            source: source,
-            msg: messages
-        }, (k, v) => {
-            if (v instanceof Error) {
-                const error = {};
-                Object.getOwnPropertyNames(v).forEach(name => error[name] = v[name]);
-                return error;
-            }
-            if (v === undefined)
-                return "undefined";
-            return v;
-        });
-    } else {
-        let msg = null;
-        const styledSource = (color ? sourceColor : noColor)((component + (source ? "/" + source : "")).padEnd(uniform * maxSourceLength));
-        switch (level) {
-            case levelNums.TRACE:
-                const tracePrefix = `[${formatTime(timestamp, fullTimestamps)}] ${color ? chalk.hex("#5F5F5F")("[") + chalk.hex("#808080")(levels[level]) + chalk.hex("#5F5F5F")("]") : "[" + levels[level] + "]"} ${"".padEnd((maxCategoryLength - levels[level].length) * uniform)}${color ? chalk.hex("#5F5F5F")("[") + chalk.hex("#808080")(styledSource) + chalk.hex("#5F5F5F")("]") : "[" + styledSource + "]"} `;
-                const traceContent = (color ? chalk.hex("#808080") : noColor)(messages.map(v => typeof v === "string" ? v : inspect(v, false, null, color)).join(" "));
-                msg = tracePrefix + traceContent.split("\n").join("\n" + tracePrefix);
-                break;
-            case levelNums.DEBUG:
-                const debugPrefix = `[${formatTime(timestamp, fullTimestamps)}] ${color ? chalk.hex("#787878")("[") + chalk.hex("#9F9F9F")(levels[level]) + chalk.hex("#787878")("]") : "[" + levels[level] + "]"} ${"".padEnd((maxCategoryLength - levels[level].length) * uniform)}${color ? chalk.hex("#787878")("[") + chalk.hex("#9F9F9F")(styledSource) + chalk.hex("#787878")("]") : "[" + styledSource + "]"} `;
-                const debugContent = (color ? chalk.hex("#9F9F9F") : noColor)(messages.map(v => typeof v === "string" ? v : inspect(v, false, null, color)).join(" "));
-                msg = debugPrefix + debugContent.split("\n").join("\n" + debugPrefix);
-                break;
-            case levelNums.INFO:
-                const infoPrefix = `[${formatTime(timestamp, fullTimestamps)}] ${color ? chalk.hex("#0B8E82")("[") + chalk.hex("#26E2D0")(levels[level]) + chalk.hex("#0B8E82")("]") : "[" + levels[level] + "]"} ${"".padEnd((maxCategoryLength - levels[level].length) * uniform)}[${styledSource}] `;
-                const infoContent = messages.map(v => typeof v === "string" ? v : inspect(v, false, null, color)).join(" ");
-                msg = infoPrefix + infoContent.split("\n").join("\n" + infoPrefix);
-                break;
-            case levelNums.WARN:
-                const warnPrefix = `[${formatTime(timestamp, fullTimestamps)}] ${color ? chalk.yellow("[") + chalk.yellowBright(levels[level]) + chalk.yellow("]") : "[" + levels[level] + "]"} ${"".padEnd((maxCategoryLength - levels[level].length) * uniform)}${color ? chalk.yellow("[") + chalk.yellowBright(styledSource) + chalk.yellow("]") : "[" + styledSource + "]"} `;
-                const warnContent = (color ? chalk.yellowBright : noColor)(messages.map(v => typeof v === "string" ? v : inspect(v, false, null, color)).join(" "));
-                msg = warnPrefix + warnContent.split("\n").join("\n" + warnPrefix);
-                break;
-            case levelNums.ERROR:
-                const errorPrefix = `[${formatTime(timestamp, fullTimestamps)}] ${color ? chalk.hex("#9F0000")("[") + chalk.hex("#FF0000")(levels[level]) + chalk.hex("#9F0000")("]") : "[" + levels[level] + "]"} ${"".padEnd((maxCategoryLength - levels[level].length) * uniform)}${color ? chalk.hex("#9F0000")("[") + chalk.hex("#FF0000")(styledSource) + chalk.hex("#9F0000")("]") : "[" + styledSource + "]"} `;
-                const errorContent = (color ? chalk.hex("#FF0000") : noColor)(messages.map(v => typeof v === "string" ? v : inspect(v, false, null, color)).join(" "));
-                msg = errorPrefix + errorContent.split("\n").join("\n" + errorPrefix);
-                break;
-            case levelNums.FATAL:
-                const fatalPrefix = `[${formatTime(timestamp, fullTimestamps)}] ${(color ? chalk.bgRedBright : noColor)(`${color ? chalk.black("[") + chalk.hex("#0F0F0F")(levels[level]) + chalk.black("]") : "[" + levels[level] + "]"} ${"".padEnd((maxCategoryLength - levels[level].length) * uniform)}${color ? chalk.black("[") + chalk.hex("#0F0F0F")(styledSource) + chalk.black("]") : "[" + styledSource + "]"} `)}`;
-                const fatalContent = (color ? chalk.hex("#0F0F0F").bgRedBright : noColor)(messages.map(v => typeof v === "string" ? v : inspect(v, false, null, color)).join(" "));
-                msg = fatalPrefix + fatalContent.split("\n").join("\n" + fatalPrefix);
-                break;
-        }
-        return msg;
+ * Copies a value so it can be sent to a worker. Functions and symbols are replaced by their description,
+ * class instances by plain objects, and errors are encoded so they can be restored with {@link fromCloneable}
+ */
+function toCloneable(value, copies = new Map()) {
+    if (typeof value === "function")
+        return `[Function: ${value.name || "(anonymous)"}]`;
+    if (typeof value === "symbol")
+        return value.toString();
+    if (typeof value !== "object" || value === null)
+        return value;
+    if (copies.has(value))
+        return copies.get(value);
+    if (value instanceof Date || value instanceof RegExp || ArrayBuffer.isView(value) || value instanceof ArrayBuffer)
+        return value;
+
+    if (value instanceof Map) {
+        const result = new Map();
+        copies.set(value, result);
+        value.forEach((v, k) => result.set(toCloneable(k, copies), toCloneable(v, copies)));
+        return result;
+    }
+    if (value instanceof Set) {
+        const result = new Set();
+        copies.set(value, result);
+        value.forEach(v => result.add(toCloneable(v, copies)));
+        return result;
     }
+
+    const result = Array.isArray(value) ? [] : {};
+    copies.set(value, result);
+    const keys = value instanceof Error ? Object.getOwnPropertyNames(value) : Object.keys(value);
+    if (value instanceof Error) {
+        result[errorMark] = true;
+        result.name = value.name;
+        if ("cause" in value)
+            result.cause = toCloneable(value.cause, copies);
+    }
+    for (const key of keys) {
+        try {
+            result[key] = toCloneable(value[key], copies);
+        } catch (e) {
+            result[key] = `[Getter threw: ${e?.message}]`;
+        }
+    }
+    return result;
 }
 
-function formatTime(ms, full) {
-    const date = new Date(ms);
-    if (full) {
-        return date.toISOString();
-    } else {
-        return `${date.getUTCHours().toString().padStart(2, "0")}:${date.getUTCMinutes().toString().padStart(2, "0")}:${date.getUTCSeconds().toString().padStart(2, "0")}.${date.getUTCMilliseconds().toString().padStart(3, "0")}`
+/**
+ * Restores the errors encoded by {@link toCloneable}
+ */
+function fromCloneable(value, seen = new Set()) {
+    if (typeof value !== "object" || value === null || seen.has(value))
+        return value;
+    seen.add(value);
+    if (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype) {
+        for (const key of Object.keys(value))
+            value[key] = fromCloneable(value[key], seen);
     }
+    if (value[errorMark] !== true)
+        return value;
+
+    const error = Object.create((globalThis[value.name]?.prototype instanceof Error ? globalThis[value.name] : Error).prototype);
+    for (const [key, v] of Object.entries(value)) {
+        if (key === errorMark)
+            continue;
+        Object.defineProperty(error, key, { value: v, writable: true, configurable: true, enumerable: !["name", "message", "stack", "cause"].includes(key) });
+    }
+    return error;
 }
 
-function writeToStream(stream, content) {
-    return new Promise((res, rej) => {
-        stream.write(content + "\n", (err) => err ? rej(err) : res(null));
-    });
+function memoryOptions(target) {
+    if (target.size !== undefined && !(Number.isInteger(target.size) && target.size > 0))
+        throw new RangeError(`Expected size to be a positive integer, but received ${target.size} instead`);
+    if (target.dumpTo !== undefined && target.dumpTo !== null && !Number.isInteger(target.dumpTo))
+        throw new TypeError(`Expected dumpTo to be the index of another target, but received ${target.dumpTo} instead`);
+    return {
+        size: target.size ?? 1000,
+        dumpTo: target.dumpTo ?? null,
+        dumpOn: logLevelNum(target.dumpOn ?? "ERROR")
+    };
 }
 
 /**
- * @type {import("http").RequestOptions}
+ * Keeps the most recent entries of a MEMORY target.
+ * Once an entry at or above dumpOn is logged, the buffered entries the dump target did not write itself are written to it.
+ * Dumped entries stay in the buffer, but are not written again by later dumps
  */
-const postOptions = {
-    method: "POST",
-};
+class MemoryBuffer {
+    /**
+     * @param {{ size: number, dumpTo: number?, dumpOn: number }} options
+     */
+    constructor(options) {
+        this.size = options.size;
+        this.dumpTo = options.dumpTo;
+        this.dumpOn = options.dumpOn;
+        /** @type {import(".").ParsedTarget?} */
+        this.dumpTarget = null;
+        /** @type {{ entry: import(".").LogEntry, logger: Logger, dumped: boolean }[]} */
+        this.records = [];
+    }
 
-function postRequest(https, url, content, options) {
-    return new Promise((resolve, reject) => {
-        const functionToUse = https ? httpsRequest : httpRequest;
-        const req = functionToUse(url, options, res => {
-            let text = "";
+    /**
+     * @param {import(".").LogEntry} entry
+     * @param {Logger} logger
+     * @param {number} maxSourceLength
+     */
+    push(entry, logger, maxSourceLength) {
+        let dump = null;
+        if (this.dumpTarget && levelNums[entry.level] <= this.dumpOn) {
+            const pending = this.records.filter(v => !v.dumped);
+            pending.forEach(v => v.dumped = true);
+            dump = this._dump(pending, maxSourceLength);
+        }
+        this.records.push({ entry, logger, dumped: false });
+        if (this.records.length > this.size)
+            this.records.shift();
+        return dump;
+    }
 
-            res.on("data", chunk => {
-                text += chunk;
-            });
+    _dump(records, maxSourceLength) {
+        const target = this.dumpTarget;
+        const unfiltered = [{ ...target, level: levelNums.TRACE, levelOverrides: [], include: null, exclude: null, limiter: null }];
+        return Promise.all(records
+            .filter(({ entry, logger }) => !admits(target, levelNums[entry.level], logger))
+            .map(({ entry, logger }) => logger.destroyed ? null : _log(unfiltered, entry.messages, levelNums[entry.level], logger, maxSourceLength, entry.timestamp, entry.context, entry.duration)));
+    }
 
-            res.on("end", () => {
-                if (!res.complete) {
-                    reject(new Error("Connection closed before response was fully transmitted"));
-                    return;
-                }
-                const result = {
-                    status: res.statusCode,
-                    headers: res.headers,
-                    body: text
-                }
-                resolve(result);
-            });
+    /**
+     * @param {{ level?: import(".").LogLevel, component?: string, since?: number | Date }} query
+     * @returns {import(".").LogEntry[]}
+     */
+    getEntries({ level, component, since } = {}) {
+        const maxLevel = level === undefined ? levelNums.TRACE : logLevelNum(level);
+        const regex = component === undefined ? null : patternRegex(component);
+        since = since === undefined ? -Infinity : +since;
+        if (Number.isNaN(since))
+            throw new TypeError("since must be a timestamp or a Date");
+        return this.records
+            .filter(({ entry, logger }) => levelNums[entry.level] <= maxLevel && entry.timestamp >= since && (!regex || matchesSource(regex, logger)))
+            .map(v => v.entry);
+    }
 
-            res.on("error", e => {
-                reject(e);
-            });
-        });
+    clear() {
+        this.records = [];
+    }
+}
 
-        req.on("error", e => {
-            req.destroy();
-            reject(e);
-        });
-        req.on("close", () => {
-            req.destroy();
-            reject(new Error("No response received"));
-        });
+/**
+ * Whether console output currently bypasses {@link LoggerFactory.captureConsole}
+ */
+let bypassCapture = false;
 
-        req.write(content);
-        req.end();
-    });
-}
+/**
+ * Marks the async scope in which a captured console call is delivered, so targets logging to the console asynchronously do not recurse
+ */
+const capturedDelivery = new AsyncLocalStorage();
 
-export function createLoggerFactory(targets) {
-    if (!Array.isArray(targets)) {
-        targets = [targets];
+function bypassingCapture(fn, ...args) {
+    const previous = bypassCapture;
+    bypassCapture = true;
+    try {
+        return fn(...args);
+    } finally {
+        bypassCapture = previous;
     }
+}
 
-    const parsedTargets = [];
+const consoleLevels = {
+    trace: "trace",
+    debug: "debug",
+    log: "info",
+    info: "info",
+    warn: "warn",
+    error: "error"
+};
 
-    for (const target of targets) {
-        switch (target.type) {
-            case "FILE":
-                const stream = createStream(target.path, target.failIfExists);
-                if (target.errorListener)
-                    stream.on("error", target.errorListener);
-                parsedTargets.push({
-                    type: "STREAM",
-                    stream: stream,
-                    private: true,
-                    ...baseTargetOptions(target)
-                })
-                break;
-            case "STREAM":
-                if (!(target.stream instanceof WriteStream))
-                    throw new Error("stream must be a WriteStream");
-                parsedTargets.push({
-                    type: "STREAM",
-                    stream: target.stream,
-                    private: false,
-                    ...baseTargetOptions(target)
-                });
-                break;
-            case "POST":
-                parsedTargets.push({
-                    type: (target.https ?? true) ? "HTTPS" : "HTTP",
-                    url: target.url,
-                    options: target.options ? { ...target.options, ...postOptions } : postOptions,
-                    ...baseTargetOptions(target)
-                });
-                break;
-            case "STDOUT":
-                parsedTargets.push({
-                    type: "FUNCTION",
-                    func: console.log,
-                    ...baseTargetOptions(target)
-                });
-                break;
-            case "FUNCTION":
-                if (!(target.function instanceof Function))
-                    throw new Error("function must be a Function");
-                parsedTargets.push({
-                    type: "FUNCTION",
-                    func: target.function,
-                    ...baseTargetOptions(target)
-                });
-                break;
-            default:
-                throw new TypeError(`Invalid target type: ${target.type}`);
-        }
-    }
+function createStream(path, failIfExists, rotation) {
+    path = resolvePath(path);
 
-    const factory = new LoggerFactory(parsedTargets);
+    if (rotation)
+        return new RotatingFileStream(path, failIfExists, rotation);
 
-    return factory;
+    const stream = createWriteStream(path, { flags: failIfExists ? "ax" : "a" });
+    return stream;
 }
 
-function createStream(path, failIfExists) {
+function resolvePath(path) {
     if (typeof path === "string") {
         path = path.split("\\").join("/");
         if (path.startsWith("~/"))
@@ -340,20 +2634,276 @@ function createStream(path, failIfExists) {
     } else if (!Buffer.isBuffer(path) && !(path instanceof URL)) {
         throw new Error("path must be a string");
     }
+    return path;
+}
+
+/**
+ * A file stream that rolls the file over to numbered backups (`file.1`, `file.2`, ...) once it exceeds a size or a period ends.
+ * Writes are queued, so a rotation always happens between two complete lines
+ */
+class RotatingFileStream extends EventEmitter {
+    /**
+     * @param {import("fs").PathLike} path
+     * @param {boolean} failIfExists
+     * @param {{ maxSize: number, interval: "DAILY" | "HOURLY" | null, maxFiles: number, compress: boolean }} options
+     */
+    constructor(path, failIfExists, options) {
+        super();
+        this.path = path instanceof URL ? fileURLToPath(path) : path.toString();
+        this.maxSize = options.maxSize;
+        this.interval = options.interval;
+        this.maxFiles = options.maxFiles;
+        this.compress = options.compress;
+        this.queue = Promise.resolve();
+        this.destroyed = false;
+
+        let stats = null;
+        try {
+            stats = statSync(this.path);
+        } catch (e) { }
+        this.size = stats?.size ?? 0;
+        this.period = periodKey(stats?.mtimeMs ?? Date.now(), this.interval);
+        this.stream = this._open(failIfExists ? "ax" : "a");
+    }
 
-    const stream = createWriteStream(path, { flags: failIfExists ? "ax" : "a" });
-    return stream;
+    write(chunk, callback) {
+        this.queue = this.queue.then(async () => {
+            if (this.destroyed)
+                throw new Error("Stream has been destroyed");
+            const bytes = Buffer.byteLength(chunk);
+            if (this.size > 0 && (this.size + bytes > this.maxSize || periodKey(Date.now(), this.interval) !== this.period))
+                await this._rotate();
+            this.size += bytes;
+            this.stream.write(chunk, callback);
+        }).catch(callback);
+        return true;
+    }
+
+    end(callback) {
+        this.queue = this.queue.then(() => new Promise(res => this.stream.end(res))).then(() => callback?.(), callback);
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.stream.destroy();
+    }
+
+    _open(flags) {
+        const stream = createWriteStream(this.path, { flags });
+        stream.on("error", e => this.emit("error", e));
+        return stream;
+    }
+
+    async _rotate() {
+        await new Promise(res => this.stream.end(res));
+        try {
+            const ext = this.compress ? ".gz" : "";
+            await rm(`${this.path}.${this.maxFiles}${ext}`, { force: true });
+            for (let i = this.maxFiles - 1; i >= 1; i--)
+                await rename(`${this.path}.${i}${ext}`, `${this.path}.${i + 1}${ext}`).catch(ignoreMissing);
+            if (this.maxFiles === 0) {
+                await rm(this.path, { force: true });
+            } else if (this.compress) {
+                await rename(this.path, `${this.path}.1`);
+                await pipeline(createReadStream(`${this.path}.1`), createGzip(), createWriteStream(`${this.path}.1.gz`));
+                await rm(`${this.path}.1`);
+            } else {
+                await rename(this.path, `${this.path}.1`);
+            }
+        } finally {
+            this.stream = this._open("a");
+            this.size = 0;
+            this.period = periodKey(Date.now(), this.interval);
+        }
+    }
+}
+
+function ignoreMissing(e) {
+    if (e.code !== "ENOENT")
+        throw e;
+}
+
+function periodKey(ms, interval) {
+    switch (interval) {
+        case "DAILY":
+            return new Date(ms).toISOString().slice(0, 10);
+        case "HOURLY":
+            return new Date(ms).toISOString().slice(0, 13);
+        default:
+            return null;
+    }
+}
+
+function rotationOptions(rotate) {
+    if (!rotate)
+        return null;
+    if (rotate.maxSize !== undefined && !(rotate.maxSize > 0))
+        throw new RangeError(`Expected rotate.maxSize to be a positive number, but received ${rotate.maxSize} instead`);
+    if (rotate.maxFiles !== undefined && !(Number.isInteger(rotate.maxFiles) && rotate.maxFiles >= 0))
+        throw new RangeError(`Expected rotate.maxFiles to be a non-negative integer, but received ${rotate.maxFiles} instead`);
+    if (![undefined, null, "DAILY", "HOURLY"].includes(rotate.interval))
+        throw new TypeError("rotation interval must be one of 'DAILY' or 'HOURLY'");
+    return {
+        maxSize: rotate.maxSize ?? Infinity,
+        interval: rotate.interval ?? null,
+        maxFiles: rotate.maxFiles ?? 5,
+        compress: rotate.compress || false
+    };
 }
 
-function baseTargetOptions(target) {
+function baseTargetOptions(target, factoryOptions) {
+    if (target.name !== undefined && (typeof target.name !== "string" || !target.name))
+        throw new TypeError(`Expected name to be a non-empty string, but received ${target.name} instead`);
     return {
+        name: target.name ?? null,
+        stats: { written: 0, bytes: 0, failures: 0, dropped: 0, latency: 0, lastError: null, down: false },
         level: logLevelNum(target.logLevel),
         color: target.color || false,
         uniform: target.uniformLength || false,
         format: logStyle(target.style),
         fullTimestamps: target.fullTimestamps || false,
-        errorPolicy: errorPolicy(target.errorPolicy)
+        errorPolicy: errorPolicy(target.errorPolicy),
+        redact: redactRules(target.redact !== undefined ? target.redact : factoryOptions.redact),
+        errors: errorOptions(target.errors),
+        limiter: createLimiter(target),
+        levelOverrides: [],
+        include: patternList(target.include, "include"),
+        exclude: patternList(target.exclude, "exclude")
+    }
+}
+
+function errorOptions(errors) {
+    if (!errors)
+        return defaultErrorOptions;
+    if (errors.maxDepth !== undefined && !(Number.isInteger(errors.maxDepth) && errors.maxDepth > 0))
+        throw new RangeError(`Expected errors.maxDepth to be a positive integer, but received ${errors.maxDepth} instead`);
+    return {
+        maxDepth: errors.maxDepth ?? defaultErrorOptions.maxDepth,
+        structuredStack: errors.structuredStack || false
+    };
+}
+
+/**
+ * @param {import(".").ParsedTarget} target
+ * @param {import(".").LogLevel} level
+ * @param {string?} component
+ */
+function setTargetLevel(target, level, component) {
+    if (levelNums[level] === undefined)
+        throw new TypeError(`log level must be one of 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'. Received ${level} instead`);
+    if (component === undefined) {
+        target.level = levelNums[level];
+    } else {
+        target.levelOverrides = target.levelOverrides.filter(o => o.pattern !== component);
+        target.levelOverrides.push({ pattern: component, regex: patternRegex(component), level: levelNums[level] });
+    }
+}
+
+function patternList(patterns, name) {
+    if (patterns === undefined || patterns === null)
+        return null;
+    if (!Array.isArray(patterns))
+        throw new TypeError(`${name} must be an array of component patterns`);
+    return patterns.map(patternRegex);
+}
+
+/**
+ * Parses a level specification like `INFO,NETWORK=TRACE,USERS/*=DEBUG`
+ * @param {string} spec
+ */
+function parseLevelSpec(spec) {
+    return spec.split(",").map(v => v.trim()).filter(v => v).map(v => {
+        const separator = v.lastIndexOf("=");
+        if (separator === -1)
+            return { level: v.toUpperCase() };
+        return { component: v.slice(0, separator).trim(), level: v.slice(separator + 1).trim().toUpperCase() };
+    });
+}
+
+const noRedaction = { keys: new Set(), paths: [], patterns: [], censor: null, remove: false };
+
+function redactRules(redact) {
+    if (!redact)
+        return null;
+    if (Array.isArray(redact))
+        redact = { paths: redact };
+    if (!Array.isArray(redact.paths))
+        throw new TypeError("redact.paths must be an array of strings and regular expressions");
+
+    const rules = {
+        keys: new Set(),
+        paths: [],
+        patterns: [],
+        censor: redact.censor !== undefined ? redact.censor : "[REDACTED]",
+        remove: redact.remove || false
+    };
+    for (const path of redact.paths) {
+        if (path instanceof RegExp)
+            rules.patterns.push(new RegExp(path.source, path.flags.includes("g") ? path.flags : path.flags + "g"));
+        else if (typeof path !== "string" || !path)
+            throw new TypeError(`Expected redact path to be a non-empty string or a regular expression, but received ${path} instead`);
+        else if (path.includes(".") || path.includes("*"))
+            rules.paths.push(path.split("."));
+        else
+            rules.keys.add(path);
     }
+    return rules;
+}
+
+/**
+ * Returns a copy of the messages and context with all values matching the rules censored or removed.
+ * Circular references are preserved in the copy
+ * @param {any[]} messages
+ * @param {Record<string, any>} context
+ * @param {ReturnType<typeof redactRules>} rules
+ */
+function redactEntry(messages, context, rules) {
+    const copies = new Map();
+
+    const matches = path => {
+        if (rules.keys.has(path[path.length - 1]))
+            return true;
+        return rules.paths.some(v => v.length === path.length && v.every((segment, i) => segment === "*" || segment === path[i]));
+    };
+
+    const copy = (value, path) => {
+        if (typeof value === "string") {
+            if (!rules.patterns.length)
+                return value;
+            const replacement = rules.remove ? "" : String(rules.censor);
+            return rules.patterns.reduce((str, pattern) => str.replace(pattern, replacement), value);
+        }
+        if (typeof value !== "object" || value === null)
+            return value;
+        if (copies.has(value))
+            return copies.get(value);
+        if (!Array.isArray(value) && !(value instanceof Error) && Object.prototype.toString.call(value) !== "[object Object]")
+            return value;
+
+        const result = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+        copies.set(value, result);
+        for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(value))) {
+            if (Array.isArray(value) && key === "length")
+                continue;
+            if ("value" in descriptor) {
+                const keyPath = [...path, key];
+                if (matches(keyPath)) {
+                    if (rules.remove)
+                        continue;
+                    descriptor.value = rules.censor;
+                } else {
+                    descriptor.value = copy(descriptor.value, keyPath);
+                }
+            }
+            Object.defineProperty(result, key, descriptor);
+        }
+        return result;
+    };
+
+    return {
+        messages: messages.map(v => copy(v, [])),
+        context: copy(context, [])
+    };
 }
 
 function logLevelNum(level) {
@@ -363,16 +2913,29 @@ function logLevelNum(level) {
 }
 
 function logStyle(style) {
+    if (style instanceof Function)
+        return { json: false, format: style };
+    if (typeof style === "object" && style !== null) {
+        if (!(style.format instanceof Function))
+            throw new TypeError("formatter must have a format function");
+        return style;
+    }
     switch (style) {
         case "JSON":
-            return "JSON";
+            return jsonFormatter;
         case "TEXT":
-            return "TEXT";
+            return defaultTextFormatter;
+        case "LOGFMT":
+            return logfmtFormatter;
+        case "ECS":
+            return ecsFormatter;
+        case "GELF":
+            return gelfFormatter;
         case undefined:
         case null:
-            return "TEXT";
+            return defaultTextFormatter;
         default:
-            throw new TypeError("log style must be one of 'JSON', 'TEXT'");
+            throw new TypeError("log style must be one of 'JSON', 'TEXT', 'LOGFMT', 'ECS', 'GELF', a formatter or a function");
     }
 }
 
@@ -394,6 +2957,17 @@ function errorPolicy(policy) {
 
 const noColor = v => v;
 
+/**
+ * @param {string} hex
+ * @returns {Function} a function coloring text, which remembers its color so it can be recreated in workers
+ */
+function sourceColorFunction(hex) {
+    const color = chalk.hex(hex);
+    return Object.assign(text => color(text), { hex });
+}
+
+const noop = () => null;
+
 const levels = {
     1: "FATAL",
     2: "ERROR",
@@ -403,6 +2977,18 @@ const levels = {
     6: "TRACE"
 };
 
+/**
+ * The syslog severities corresponding to the levels
+ */
+const syslogSeverities = {
+    FATAL: 2,
+    ERROR: 3,
+    WARN: 4,
+    INFO: 6,
+    DEBUG: 7,
+    TRACE: 7
+};
+
 const levelNums = {
     FATAL: 1,
     ERROR: 2,
@@ -411,3 +2997,8 @@ const levelNums = {
     DEBUG: 5,
     TRACE: 6
 };
+
+const defaultTextFormatter = textFormatter();
+
+if (!isMainThread && workerData?.easyNodeLoggingWorker)
+    runWorker(workerData);
@@ -1,8 +1,15 @@
 
-import { createLoggerFactory } from "../src/index.js";
-import { createWriteStream, unlinkSync, readFileSync, readdirSync } from "fs";
+import { createLoggerFactory, createLoggerFactoryFromConfig, lazy, textFormatter } from "../src/index.js";
+import { appendFileSync, createWriteStream, mkdirSync, renameSync, rmSync, unlinkSync, readFileSync, readdirSync, writeFileSync } from "fs";
 import assert from "assert";
-import { createServer } from "http";
+import { createServer, get as httpGet } from "http";
+import { PassThrough, Writable } from "stream";
+import { createServer as createNetServer } from "net";
+import { createSocket } from "dgram";
+import { tmpdir } from "os";
+import { join } from "path";
+import { spawn, spawnSync } from "child_process";
+import { gzipSync } from "zlib";
 
 // remove old files
 for (const file of readdirSync("./test/out/")) {
@@ -151,3 +158,926 @@ await test("HTTP requests sent", () => {
     const validHttpDataRegex = /^{"timestamp":"\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z","level":"FATAL","component":"components","source":"longgg","msg":\["Fatal",1,"undefined",null\]}\n{"timestamp":"\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z","level":"FATAL","component":"components","source":"longgg","msg":\["Failed to log to target 5:",{"timestamp":"\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z","level":"FATAL","messages":\["Fatal",1,"undefined",null\],"error":{.*}}\]}\n$/;
     assert.match(httpReceivedData, validHttpDataRegex);
 });
+
+await test("File targets rotate without splitting lines", async () => {
+    const rotatingFactory = createLoggerFactory({
+        type: "FILE",
+        path: "./test/out/rotating_target.log",
+        style: "JSON",
+        rotate: { maxSize: 1024, maxFiles: 2 }
+    });
+    const logger = rotatingFactory.createLogger("rotation");
+    await Promise.all(Array.from({ length: 40 }, (_, i) => logger.info("Line", i)));
+    rotatingFactory.destroy();
+
+    const files = readdirSync("./test/out/").filter(v => v.startsWith("rotating_target.log"));
+    assert.deepStrictEqual(files.sort(), ["rotating_target.log", "rotating_target.log.1", "rotating_target.log.2"]);
+    for (const file of files) {
+        const content = readFileSync(`./test/out/${file}`, "utf-8");
+        assert(Buffer.byteLength(content) <= 1024, `${file} exceeds maxSize`);
+        assert.doesNotThrow(() => content.split("\n").slice(0, -1).map(v => JSON.parse(v)));
+    }
+    const last = readFileSync("./test/out/rotating_target.log", "utf-8").split("\n").slice(0, -1).map(v => JSON.parse(v));
+    assert.deepStrictEqual(last.at(-1).msg, ["Line", 39]);
+});
+
+await test("POST targets batch and retry", async () => {
+    const bodies = [];
+    let failures = 1;
+    const batchServer = createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => {
+            if (failures-- > 0) {
+                res.writeHead(503);
+            } else {
+                bodies.push(body);
+                res.writeHead(201);
+            }
+            res.end();
+        });
+    });
+    await new Promise(res => batchServer.listen(8081, res));
+
+    const batchFactory = createLoggerFactory({
+        type: "POST",
+        url: "http://localhost:8081/log",
+        https: false,
+        style: "JSON",
+        errorPolicy: "THROW",
+        batch: { maxEntries: 5, maxWait: 50 },
+        retry: { minDelay: 10 }
+    });
+    const logger = batchFactory.createLogger("batch");
+    await Promise.all(Array.from({ length: 7 }, (_, i) => logger.info("Entry", i)));
+    batchFactory.destroy();
+    batchServer.close();
+
+    assert.strictEqual(bodies.length, 2);
+    const entries = bodies.join("").split("\n").slice(0, -1).map(v => JSON.parse(v));
+    assert.deepStrictEqual(entries.map(v => v.msg[1]), [0, 1, 2, 3, 4, 5, 6]);
+});
+
+await test("POST targets spool undeliverable batches", async () => {
+    const spoolFactory = createLoggerFactory({
+        type: "POST",
+        url: "http://localhost:8082/log",
+        https: false,
+        style: "JSON",
+        errorPolicy: "THROW",
+        batch: { maxEntries: 2, maxWait: 10, format: "JSON_ARRAY" },
+        retry: { retries: 1, minDelay: 10 },
+        spool: "./test/out/post_spool.log"
+    });
+    const logger = spoolFactory.createLogger("spool");
+    await Promise.all([logger.info("Spooled", 0), logger.info("Spooled", 1)]);
+    assert.strictEqual(readFileSync("./test/out/post_spool.log", "utf-8").split("\n").length, 3);
+
+    const bodies = [];
+    const spoolServer = createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => bodies.push(body));
+        res.writeHead(201);
+        res.end();
+    });
+    await new Promise(res => spoolServer.listen(8082, res));
+    await logger.info("Live");
+    for (let i = 0; i < 50 && bodies.length < 2; i++)
+        await new Promise(res => setTimeout(res, 10));
+    spoolFactory.destroy();
+    spoolServer.close();
+
+    const entries = bodies.flatMap(v => JSON.parse(v));
+    assert.deepStrictEqual(entries.map(v => v.msg.join(" ")), ["Live", "Spooled 0", "Spooled 1"]);
+    assert(!readdirSync("./test/out/").includes("post_spool.log"), "spool file was not removed");
+});
+
+await test("POST targets only retry transient failures", async () => {
+    const statuses = [429, 400];
+    let requests = 0;
+    const statusServer = createServer((req, res) => {
+        requests++;
+        req.resume();
+        req.on("end", () => {
+            res.writeHead(statuses.shift() ?? 400);
+            res.end();
+        });
+    });
+    await new Promise(res => statusServer.listen(8086, res));
+
+    const statusFactory = createLoggerFactory({
+        type: "POST",
+        url: "http://localhost:8086/log",
+        https: false,
+        style: "JSON",
+        errorPolicy: "THROW",
+        batch: { maxEntries: 1, maxWait: 10 },
+        retry: { minDelay: 10 },
+        spool: "./test/out/status_spool.log"
+    });
+    const logger = statusFactory.createLogger("status");
+    await assert.rejects(logger.info("Refused"), /status 400/);
+    statusFactory.destroy();
+    statusServer.close();
+
+    assert.strictEqual(requests, 2);
+    assert(!readdirSync("./test/out/").includes("status_spool.log"), "refused batch was spooled");
+    assert.throws(() => createLoggerFactory({ type: "POST", url: "http://localhost:8086/log", batch: { maxEntries: 0 } }), /maxEntries/);
+});
+
+await test("POST targets replay the spool in bounded chunks", async () => {
+    const spooled = Array.from({ length: 7 }, (_, i) => JSON.stringify(JSON.stringify({ msg: ["Spooled", i] })) + "\n");
+    writeFileSync("./test/out/replay_spool.log", spooled.join("") + "\"{\"msg");
+    const bodies = [];
+    const replayServer = createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => {
+            bodies.push(body);
+            res.writeHead(200);
+            res.end();
+        });
+    });
+    await new Promise(res => replayServer.listen(8087, res));
+
+    const replayFactory = createLoggerFactory({
+        type: "POST",
+        url: "http://localhost:8087/log",
+        https: false,
+        style: "JSON",
+        batch: { maxEntries: 2, maxWait: 10, maxPending: 2 },
+        spool: "./test/out/replay_spool.log"
+    });
+    await replayFactory.createLogger("replay").info("Live");
+    for (let i = 0; i < 100 && bodies.length < 5; i++)
+        await new Promise(res => setTimeout(res, 10));
+    replayFactory.destroy();
+    replayServer.close();
+
+    const batches = bodies.map(v => v.split("\n").slice(0, -1).map(line => JSON.parse(line).msg.join(" ")));
+    assert(batches.every(v => v.length <= 2), "a batch exceeds maxEntries");
+    assert.deepStrictEqual(batches.flat(), ["Live", ...spooled.map((_, i) => `Spooled ${i}`)]);
+    assert(!readdirSync("./test/out/").some(v => v.startsWith("replay_spool.log")), "spool file was not removed");
+});
+
+await test("Closing a factory flushes every target", async () => {
+    const bodies = [];
+    const closeServer = createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => bodies.push(body));
+        res.writeHead(201);
+        res.end();
+    });
+    await new Promise(res => closeServer.listen(8083, res));
+
+    const closingFactory = createLoggerFactory([
+        { type: "FILE", path: "./test/out/close_target.log", style: "JSON" },
+        { type: "POST", url: "http://localhost:8083/log", https: false, style: "JSON", batch: { maxWait: 60000 } }
+    ]);
+    const logger = closingFactory.createLogger("close");
+    for (let i = 0; i < 20; i++)
+        logger.info("Entry", i);
+    const drops = [];
+    closingFactory.on("drop", event => drops.push(event.reason));
+    const closed = closingFactory.close({ timeoutMs: 5000 });
+    assert.strictEqual(await logger.info("While closing"), null);
+    assert.strictEqual(await closed, true);
+    assert.deepStrictEqual(drops, ["CLOSING", "CLOSING"]);
+    closeServer.close();
+
+    assert(closingFactory.destroyed);
+    assert.throws(() => logger.info("After close"));
+    assert.strictEqual(readFileSync("./test/out/close_target.log", "utf-8").split("\n").length, 21);
+    assert.strictEqual(bodies.join("").split("\n").length, 21);
+});
+
+await test("Child loggers add their fields", async () => {
+    const lines = [];
+    const childFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => lines.push(v), style: "JSON" },
+        { type: "FUNCTION", function: v => lines.push(v) }
+    ]);
+    const child = childFactory.createLogger("parent", "src").child({ requestId: "abc", user: "John Doe" }).child({ user: 42, level: "ignored" });
+    await child.info("Hello");
+    childFactory.destroy();
+
+    const json = JSON.parse(lines[0]);
+    assert.deepStrictEqual(Object.keys(json), ["timestamp", "level", "component", "source", "requestId", "user", "msg"]);
+    assert.strictEqual(json.level, "INFO");
+    assert.strictEqual(json.user, 42);
+    assert.match(lines[1], /\[parent\/src\] requestId=abc user=42 level=ignored Hello$/);
+});
+
+await test("Context propagates through async scopes", async () => {
+    const lines = [];
+    const contextFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => lines.push(v), style: "JSON" },
+        { type: "FUNCTION", function: v => lines.push(v) }
+    ]);
+    const logger = contextFactory.createLogger("context");
+    await contextFactory.runWithContext({ requestId: "abc", user: "ambient" }, async () => {
+        await new Promise(res => setTimeout(res, 1));
+        await contextFactory.runWithContext({ step: 2 }, () => logger.child({ user: "bound" }).info("Nested"));
+    });
+    await logger.info("Outside");
+    contextFactory.destroy();
+
+    const json = JSON.parse(lines[0]);
+    assert.deepStrictEqual([json.requestId, json.user, json.step], ["abc", "bound", 2]);
+    assert.match(lines[1], / requestId=abc user=bound step=2 Nested$/);
+    assert.match(lines[3], /\[context\] Outside$/);
+});
+
+await test("Secrets are redacted without modifying the logged objects", async () => {
+    const lines = [];
+    const redactFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => lines.push(v), style: "JSON" },
+        { type: "FUNCTION", function: v => lines.push(v), style: "JSON", redact: { paths: ["headers.authorization", "users.*.token"], remove: true } },
+        { type: "FUNCTION", function: v => lines.push(v), style: "JSON", redact: null }
+    ], { redact: ["password", "headers.authorization", "users.*.token", /Bearer \S+/] });
+    const logger = redactFactory.createLogger("redact").child({ password: "context" });
+
+    const request = {
+        headers: { authorization: "Basic abc", host: "localhost" },
+        users: [{ name: "John", token: "t1", password: "p1" }],
+        note: "sent Bearer xyz to server"
+    };
+    request.self = request;
+    const error = new Error("Login failed");
+    error.password = "p2";
+    await logger.info(request, error);
+    redactFactory.destroy();
+
+    assert.strictEqual(request.headers.authorization, "Basic abc");
+    assert.strictEqual(request.users[0].password, "p1");
+    assert.strictEqual(error.password, "p2");
+
+    const [censored, removed, raw] = lines.map(v => JSON.parse(v));
+    assert.strictEqual(censored.password, "[REDACTED]");
+    assert.deepStrictEqual(censored.msg[0].headers, { authorization: "[REDACTED]", host: "localhost" });
+    assert.deepStrictEqual(censored.msg[0].users[0], { name: "John", token: "[REDACTED]", password: "[REDACTED]" });
+    assert.strictEqual(censored.msg[0].note, "sent [REDACTED] to server");
+    assert.strictEqual(censored.msg[1].password, "[REDACTED]");
+    assert.strictEqual(censored.msg[1].message, "Login failed");
+    assert.deepStrictEqual(removed.msg[0].headers, { host: "localhost" });
+    assert.deepStrictEqual(removed.msg[0].users[0], { name: "John", password: "p1" });
+    assert.strictEqual(raw.msg[0].headers.authorization, "Basic abc");
+});
+
+await test("Levels can be changed at runtime and per component", async () => {
+    const lines = [];
+    process.env.TEST_LOG_LEVEL = "INFO,NETWORK=TRACE,USERS/*=DEBUG";
+    const levelFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => lines.push("all " + v), style: "JSON", logLevel: "WARN" },
+        { type: "FUNCTION", function: v => lines.push("filtered " + v), style: "JSON", include: ["USERS/*", "NETWORK"], exclude: ["USERS/admin"] }
+    ], { levelEnv: "TEST_LOG_LEVEL" });
+    delete process.env.TEST_LOG_LEVEL;
+    const network = levelFactory.createLogger("NETWORK", "socket");
+    const users = levelFactory.createLogger("USERS", "auth");
+    const admin = levelFactory.createLogger("USERS", "admin");
+    const other = levelFactory.createLogger("OTHER");
+
+    const logged = async () => {
+        lines.length = 0;
+        await Promise.all([network.trace("n"), users.trace("u"), users.debug("u"), admin.debug("a"), other.debug("o"), other.info("o")]);
+        return lines.map(v => v.split(" ")[0] + " " + JSON.parse(v.slice(v.indexOf(" ") + 1)).msg[0]).sort();
+    };
+    assert.deepStrictEqual(await logged(), ["all a", "all n", "all o", "all u", "filtered n", "filtered u"]);
+
+    levelFactory.setLevel("ERROR", { target: 0 });
+    levelFactory.setLevel("ERROR", { component: "NETWORK" });
+    levelFactory.setLevel("TRACE", { target: 1, component: "USERS/auth" });
+    assert.deepStrictEqual(await logged(), ["all a", "all u", "filtered u", "filtered u"]);
+    assert.throws(() => levelFactory.setLevel("LOUD"));
+    assert.throws(() => levelFactory.setLevel("INFO", { target: 2 }));
+    levelFactory.destroy();
+
+    const previous = process.env.LOG_LEVEL;
+    process.env.LOG_LEVEL = "ERROR";
+    assert(!createLoggerFactory({ type: "STDOUT", logLevel: "INFO" }, { levelEnv: "LOG_LEVEL" }).createLogger("env").isLevelEnabled("WARN"));
+    assert(createLoggerFactory({ type: "STDOUT", logLevel: "INFO" }).createLogger("env").isLevelEnabled("INFO"));
+    process.env.LOG_LEVEL = "LOUD,NETWORK=TRACE";
+    const warning = new Promise(res => process.once("warning", res));
+    const fallback = createLoggerFactory({ type: "STDOUT", logLevel: "INFO" }, { levelEnv: "LOG_LEVEL" }).createLogger("NETWORK");
+    assert.match((await warning).message, /Ignoring LOG_LEVEL='LOUD,NETWORK=TRACE'/);
+    assert(fallback.isLevelEnabled("INFO") && !fallback.isLevelEnabled("DEBUG"));
+    if (previous === undefined)
+        delete process.env.LOG_LEVEL;
+    else
+        process.env.LOG_LEVEL = previous;
+});
+
+await test("Formatters and text templates can be customized", async () => {
+    const lines = [];
+    const formatFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => lines.push(v), style: textFormatter({ template: "{level} {source}: {message} @{time}" }) },
+        { type: "FUNCTION", function: v => lines.push(v), style: textFormatter({ theme: { WARN: { level: "#0000FF", message: null } } }), color: true },
+        { type: "FUNCTION", function: v => lines.push(v), style: entry => `${entry.level}|${entry.component}|${entry.context.id}|${entry.messages.length}` },
+        { type: "FUNCTION", function: v => lines.push(v), style: { format: (entry, options) => `${options.color}` } }
+    ]);
+    await formatFactory.createLogger("format", "src").child({ id: 7 }).warn("Hello", "there\nfriend");
+    formatFactory.destroy();
+
+    assert.match(lines[0], /^WARN format\/src: id=7 Hello there\nWARN format\/src: friend @\d{2}:\d{2}:\d{2}\.\d{3}$/);
+    assert.match(lines[1], /WARN.*\] .*format\/src.*\] id=7 Hello there\n/);
+    assert.strictEqual(lines[2], "WARN|format|7|2");
+    assert.strictEqual(lines[3], "false");
+    assert.throws(() => textFormatter({ template: "{time}" }));
+    assert.throws(() => textFormatter({ theme: { INFO: { level: "notAColor" } } }));
+});
+
+await test("Standard output formats are supported", async () => {
+    const lines = [];
+    const styleFactory = createLoggerFactory(["LOGFMT", "ECS", "GELF"].map(style => ({ type: "FUNCTION", function: v => lines.push(v), style })));
+    const error = new TypeError("Bad input");
+    await styleFactory.createLogger("styles", "src").child({ requestId: "a b", id: 3 }).error("Request failed:", error, { code: 400 });
+    styleFactory.destroy();
+
+    const [logfmt, ecs, gelf] = [lines[0], JSON.parse(lines[1]), JSON.parse(lines[2])];
+    assert.match(logfmt, /^time=\S+ level=error component=styles source=src msg="Request failed: TypeError: Bad input { code: 400 }" error.type=TypeError error.message="Bad input" error.stack="TypeError: Bad input\\n[^"]*" requestId="a b" id=3$/);
+    assert.strictEqual(ecs["log.level"], "error");
+    assert.strictEqual(ecs["log.logger"], "styles/src");
+    assert.strictEqual(ecs.message, "Request failed: TypeError: Bad input { code: 400 }");
+    assert.deepStrictEqual([ecs.error.type, ecs.error.message, ecs.error.stack_trace], ["TypeError", "Bad input", error.stack]);
+    assert.strictEqual(ecs.requestId, "a b");
+    assert.strictEqual(gelf.version, "1.1");
+    assert.strictEqual(gelf.level, 3);
+    assert.strictEqual(gelf.short_message, "Request failed: TypeError: Bad input { code: 400 }");
+    assert.strictEqual(gelf.full_message, error.stack);
+    assert.deepStrictEqual([gelf._component, gelf._source, gelf._requestId, gelf._context_id, gelf._error_type], ["styles", "src", "a b", 3, "TypeError"]);
+    assert.strictEqual(typeof gelf.timestamp, "number");
+});
+
+await test("Syslog targets send over UDP, TCP and unix sockets", async () => {
+    const udpMessages = [];
+    const udpServer = createSocket("udp4");
+    udpServer.on("message", msg => udpMessages.push(msg.toString()));
+    await new Promise(res => udpServer.bind(5514, "127.0.0.1", res));
+
+    const tcpData = [];
+    const tcpConnections = [];
+    const tcpServer = createNetServer(socket => {
+        tcpConnections.push(socket);
+        socket.on("data", chunk => tcpData.push(chunk.toString()));
+    });
+    await new Promise(res => tcpServer.listen(5515, "127.0.0.1", res));
+
+    const socketPath = join(tmpdir(), `easy-node-logging-${process.pid}.sock`);
+    const unixData = [];
+    const unixServer = createNetServer(socket => socket.on("data", chunk => unixData.push(chunk.toString())));
+    await new Promise(res => unixServer.listen(socketPath, res));
+
+    const syslogFactory = createLoggerFactory([
+        { type: "SYSLOG", host: "127.0.0.1", port: 5514, facility: "local0", appName: "app", hostname: "host" },
+        { type: "SYSLOG", transport: "tcp", host: "127.0.0.1", port: 5515, format: "RFC3164", appName: "app", hostname: "host", errorPolicy: "THROW" },
+        { type: "SYSLOG", transport: "unix", path: socketPath, appName: "app", hostname: "host" }
+    ]);
+    const logger = syslogFactory.createLogger("SYSLOG TEST");
+    await logger.warn("First");
+    await new Promise(res => setTimeout(res, 20));
+    tcpConnections[0].destroy();
+    await new Promise(res => setTimeout(res, 20));
+    await logger.fatal("Second\nline");
+    await new Promise(res => setTimeout(res, 20));
+    await syslogFactory.close();
+    udpServer.close();
+    tcpServer.close();
+    unixServer.close();
+
+    assert.match(udpMessages[0], new RegExp(`^<132>1 \\S+Z host app ${process.pid} SYSLOG_TEST - \\[\\d{2}:\\d{2}:\\d{2}\\.\\d{3}\\] \\[WARN\\] \\[SYSLOG TEST\\] First$`));
+    assert.match(udpMessages[1], /^<130>1 /);
+    assert.strictEqual(tcpConnections.length, 2);
+    const frames = tcpData.join("").match(/^(\d+) (<12>\w{3} [ \d]\d \d{2}:\d{2}:\d{2} host app\[\d+\]: .*First)(\d+) (<10>.*Second\n.*line)$/);
+    assert(frames, "TCP messages were not framed as expected");
+    assert.strictEqual(Number(frames[1]), Buffer.byteLength(frames[2]));
+    assert.strictEqual(Number(frames[3]), Buffer.byteLength(frames[4]));
+    assert.match(unixData.join(""), /^<12>1 .*\[WARN\] \[SYSLOG TEST\] First\n<10>1 .*\[FATAL\] \[SYSLOG TEST\] Second\\n\[.*\] \[FATAL\] \[SYSLOG TEST\] line\n$/);
+
+    // Node cannot write to unix datagram sockets like /dev/log, python binds one for the test if available
+    const datagramPath = join(tmpdir(), `easy-node-logging-${process.pid}-dgram.sock`);
+    const python = spawn("python3", ["-c", `import socket, sys, time\ns = socket.socket(socket.AF_UNIX, socket.SOCK_DGRAM)\ns.bind(sys.argv[1])\nprint("ready", flush=True)\ntime.sleep(10)`, datagramPath]);
+    const ready = await new Promise(res => {
+        python.on("error", () => res(false));
+        python.stdout.once("data", () => res(true));
+    });
+    if (ready) {
+        const datagramFactory = createLoggerFactory({ type: "SYSLOG", transport: "unix", path: datagramPath, errorPolicy: "THROW" });
+        await assert.rejects(datagramFactory.createLogger("dgram").info("Lost"), /is a unix datagram socket/);
+        datagramFactory.destroy();
+        python.kill();
+        unlinkSync(datagramPath);
+    }
+    assert.throws(() => createLoggerFactory({ type: "SYSLOG", transport: "unix" }), /require the path/);
+});
+
+await test("Errors are serialized with causes and aggregated errors", async () => {
+    const lines = [];
+    const errorFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => lines.push(v), style: "JSON", errors: { maxDepth: 3, structuredStack: true } },
+        { type: "FUNCTION", function: v => lines.push(v) }
+    ]);
+    const root = new Error("Root");
+    root.code = "E_ROOT";
+    const aggregate = new AggregateError([new RangeError("First"), "not an error"], "Many failed", { cause: root });
+    const outer = new Error("Outer", { cause: aggregate });
+    outer.errno = -2;
+    const cyclic = new Error("Cyclic");
+    cyclic.cause = cyclic;
+    cyclic.self = cyclic;
+    cyclic.details = { errors: [cyclic] };
+    await errorFactory.createLogger("errors").error(outer, cyclic, new Error("A", { cause: new Error("B", { cause: new Error("C", { cause: new Error("D") }) }) }));
+    errorFactory.destroy();
+
+    const [serialized, serializedCyclic, deep] = JSON.parse(lines[0]).msg;
+    assert.strictEqual(serialized.errno, -2);
+    assert.strictEqual(serialized.cause.name, "AggregateError");
+    assert.strictEqual(serialized.cause.errors[0].message, "First");
+    assert.strictEqual(serialized.cause.errors[1], "not an error");
+    assert.strictEqual(serialized.cause.cause.code, "E_ROOT");
+    assert(serialized.stack.every(v => "function" in v && "file" in v && "line" in v && "column" in v));
+    assert.strictEqual(serialized.stack[0].file, import.meta.url);
+    assert.strictEqual(serializedCyclic.cause, "[Circular]");
+    assert.strictEqual(serializedCyclic.self, "[Circular]");
+    assert.deepStrictEqual(serializedCyclic.details, { errors: ["[Circular]"] });
+    assert.strictEqual(deep.cause.cause.cause, "[Truncated]");
+
+    assert.match(lines[1], /\[errors\] Error: Outer\n.*    at .*\n/);
+    assert.match(lines[1], /\n.*\] {5}\{ errno: -2 \}\n/);
+    assert.match(lines[1], /\n.*\]   Caused by: AggregateError: Many failed\n/);
+    assert.match(lines[1], /\n.*\]     \[0\]: RangeError: First\n/);
+    assert.match(lines[1], /\n.*\]     \[1\]: not an error /);
+    assert.match(lines[1], /\n.*\]     Caused by: Error: Root\n/);
+    assert.match(lines[1], /\n.*\]   Caused by: \[Circular\] /);
+});
+
+await test("Entries are rate limited, sampled and deduplicated", async () => {
+    const limited = [];
+    const sampled = [];
+    const deduped = [];
+    const limitFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => limited.push(v), style: "JSON", rateLimit: { rate: 2, burst: 3 } },
+        { type: "FUNCTION", function: v => sampled.push(v), style: "JSON", sample: { TRACE: 0, DEBUG: 1 } },
+        { type: "FUNCTION", function: v => deduped.push(v), style: "JSON", dedupe: { window: 50 } }
+    ]);
+    const logger = limitFactory.createLogger("limits");
+    const other = limitFactory.createLogger("other");
+
+    for (let i = 0; i < 10; i++)
+        await logger.error("Flood");
+    await other.error("Other");
+    await logger.trace("Trace");
+    await logger.debug("Debug");
+    await logger.info("Different");
+    await new Promise(res => setTimeout(res, 60));
+    for (let i = 0; i < 3; i++)
+        await logger.warn("Again");
+    await limitFactory.close();
+
+    const messages = lines => lines.map(v => JSON.parse(v)).map(v => `${v.level} ${v.component} ${v.msg.join(" ")}`);
+    assert.deepStrictEqual(messages(limited).slice(0, 4), ["ERROR limits Flood", "ERROR limits Flood", "ERROR limits Flood", "ERROR other Other"]);
+    assert(messages(limited).includes("ERROR limits Rate limit exceeded, dropped 7 entries"));
+    assert(!messages(sampled).some(v => v.startsWith("TRACE")));
+    assert(messages(sampled).includes("DEBUG limits Debug"));
+    assert.deepStrictEqual(messages(deduped), [
+        "ERROR limits Flood",
+        "ERROR other Other",
+        "ERROR limits Last message repeated 9 times",
+        "TRACE limits Trace",
+        "DEBUG limits Debug",
+        "INFO limits Different",
+        "WARN limits Again",
+        "WARN limits Last message repeated 2 times"
+    ]);
+});
+
+await test("Factories can be configured from a watched file", async () => {
+    const configPath = "./test/out/config.json";
+    const reloads = [];
+    const waitForReload = async count => {
+        for (let i = 0; i < 100 && reloads.length < count; i++)
+            await new Promise(res => setTimeout(res, 10));
+    };
+    process.env.TEST_CONFIG_DIR = "./test/out";
+    writeFileSync(configPath, JSON.stringify([{ type: "FILE", path: "${TEST_CONFIG_DIR}/config_first.log", style: "${TEST_CONFIG_STYLE:-JSON}" }]));
+    const configFactory = createLoggerFactoryFromConfig(configPath, { watch: true, interval: 10, onReload: e => reloads.push(e) });
+    const logger = configFactory.createLogger("config");
+    await logger.info("First");
+
+    await new Promise(res => setTimeout(res, 20));
+    writeFileSync(configPath, JSON.stringify({ targets: [{ type: "FILE", path: "./test/out/config_second.log", logLevel: "WARN" }] }));
+    await waitForReload(1);
+    await logger.info("Filtered");
+    await logger.warn("Second");
+
+    await new Promise(res => setTimeout(res, 20));
+    writeFileSync(configPath, JSON.stringify({ targets: [{ type: "FILE", path: "./test/out/config_third.log", logLevel: "LOUD" }] }));
+    await waitForReload(2);
+    await logger.error("Still second");
+    await configFactory.close();
+    delete process.env.TEST_CONFIG_DIR;
+
+    assert.strictEqual(reloads[0], null);
+    assert.match(reloads[1].message, /^Invalid logging config .*config\.json: log level must be one of/);
+    assert.deepStrictEqual(JSON.parse(readFileSync("./test/out/config_first.log", "utf-8")).msg, ["First"]);
+    assert.match(readFileSync("./test/out/config_second.log", "utf-8"), /^\[.*\] \[WARN\] \[config\] Second\n\[.*\] \[ERROR\] \[config\] Still second\n$/);
+    assert(!readdirSync("./test/out/").includes("config_third.log"));
+    assert.throws(() => createLoggerFactoryFromConfig("./test/out/missing.json"), /Invalid logging config/);
+});
+
+await test("Targets can be written in a worker thread", async () => {
+    const workerFactory = createLoggerFactory([
+        { type: "FILE", path: "./test/out/worker.log", style: "JSON", worker: true, redact: ["password"] },
+        { type: "FILE", path: "./test/out/worker_warn.log", logLevel: "WARN", worker: true }
+    ]);
+    const logger = workerFactory.createLogger("worker", "thread", "#ff0000");
+    const error = new RangeError("Broken", { cause: new Error("Inner") });
+    error.code = "E_BROKEN";
+    await logger.info("Hello", { password: "secret", fn: () => 1, nested: new Map([["a", 1]]) });
+    await logger.error("Failed", error);
+    await workerFactory.close();
+
+    const entries = readFileSync("./test/out/worker.log", "utf-8").trim().split("\n").map(v => JSON.parse(v));
+    assert.deepStrictEqual(entries.map(v => [v.level, v.component, v.source]), [["INFO", "worker", "thread"], ["ERROR", "worker", "thread"]]);
+    assert.deepStrictEqual(entries[0].msg[1], { password: "[REDACTED]", fn: "[Function: fn]", nested: {} });
+    assert.strictEqual(entries[1].msg[1].name, "RangeError");
+    assert.strictEqual(entries[1].msg[1].code, "E_BROKEN");
+    assert.strictEqual(entries[1].msg[1].cause.message, "Inner");
+    assert.match(readFileSync("./test/out/worker_warn.log", "utf-8"), /^\[.*\] \[ERROR\] \[worker\/thread\] Failed RangeError: Broken\n/);
+
+    const dropFactory = createLoggerFactory({ type: "FILE", path: "./test/out/worker_drop.log", style: "JSON", worker: true }, { worker: { maxQueue: 2, overflow: "DROP_NEWEST" } });
+    const dropLogger = dropFactory.createLogger("drop");
+    await Promise.all(Array.from({ length: 10 }, (_, i) => dropLogger.info(i)));
+    await dropFactory.close();
+    const written = readFileSync("./test/out/worker_drop.log", "utf-8").trim().split("\n");
+    assert(written.length >= 2 && written.length < 10);
+
+    const bodies = [];
+    const workerServer = createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => {
+            bodies.push(body);
+            res.writeHead(201).end();
+        });
+    });
+    await new Promise(res => workerServer.listen(8085, res));
+    const batchFactory = createLoggerFactory({ type: "POST", url: "http://localhost:8085/log", https: false, style: "JSON", batch: { maxWait: 60000 }, worker: true });
+    const batchLogger = batchFactory.createLogger("batch");
+    batchLogger.info("First");
+    batchLogger.info("Second");
+    const start = Date.now();
+    assert.strictEqual(await batchFactory.close({ timeoutMs: 3000 }), true);
+    assert(Date.now() - start < 1000);
+    workerServer.close();
+    assert.strictEqual(bodies.length, 1);
+    assert.deepStrictEqual(bodies[0].trim().split("\n").map(v => JSON.parse(v).msg[0]), ["First", "Second"]);
+
+    const held = [];
+    let stalling = true;
+    const stalledServer = createServer((req, res) => {
+        req.resume();
+        req.on("end", () => stalling ? held.push(res) : res.writeHead(201).end());
+    });
+    await new Promise(res => stalledServer.listen(8088, res));
+    const stalledFactory = createLoggerFactory({ type: "POST", url: "http://localhost:8088/log", https: false, style: "JSON", worker: true }, { worker: { maxQueue: 2 } });
+    const stalledLogger = stalledFactory.createLogger("stalled");
+    let posted = 0;
+    const logged = [0, 1, 2].map(i => stalledLogger.info("Stalled", i).then(() => posted++));
+    // the event loop keeps running while the queue is full
+    await new Promise(res => setTimeout(res, 200));
+    assert.strictEqual(posted, 0);
+    assert.strictEqual(held.length, 2);
+    stalling = false;
+    held.splice(0).forEach(res => res.writeHead(201).end());
+    await Promise.all(logged);
+    assert.strictEqual(posted, 3);
+    await stalledFactory.close();
+    stalledServer.close();
+
+    assert.throws(() => createLoggerFactory({ type: "FUNCTION", func: () => { }, worker: true }), /cannot be moved to a worker/);
+    assert.throws(() => createLoggerFactory({ type: "STDOUT", worker: true, options: { agent: () => null } }), /cannot be moved to a worker/);
+    assert.throws(() => createLoggerFactory({ type: "STDOUT", worker: true }, { worker: { overflow: "WAIT" } }), /overflow policy/);
+});
+
+await test("Memory targets buffer entries and dump them on errors", async () => {
+    const memoryFactory = createLoggerFactory([
+        { type: "MEMORY", size: 3, dumpTo: 1 },
+        { type: "FILE", path: "./test/out/memory_dump.log", logLevel: "WARN", style: "JSON" }
+    ]);
+    const logger = memoryFactory.createLogger("memory");
+    const other = memoryFactory.createLogger("other", "src");
+    const memory = memoryFactory.getMemory();
+    await logger.trace("Dropped");
+    const since = Date.now();
+    await logger.debug("First");
+    await other.info("Second");
+    await logger.warn("Written");
+    assert.deepStrictEqual(memory.getEntries().map(v => v.messages[0]), ["First", "Second", "Written"]);
+    assert.deepStrictEqual(memory.getEntries({ level: "INFO" }).map(v => v.messages[0]), ["Second", "Written"]);
+    assert.deepStrictEqual(memory.getEntries({ component: "other/*", since }).map(v => v.messages[0]), ["Second"]);
+    await logger.error("Failed");
+    assert.deepStrictEqual(memory.getEntries().map(v => v.messages[0]), ["Second", "Written", "Failed"]);
+    await logger.error("Again");
+    memory.clear();
+    await logger.debug("Later");
+    const payload = { id: 1, tags: ["a"] };
+    await logger.debug(payload);
+    payload.id = 2;
+    payload.tags.push("b");
+    assert.deepStrictEqual(memory.getEntries().map(v => v.messages[0]), ["Later", { id: 1, tags: ["a"] }]);
+    await memoryFactory.close();
+
+    const dumped = readFileSync("./test/out/memory_dump.log", "utf-8").trim().split("\n").map(v => JSON.parse(v));
+    assert.deepStrictEqual(dumped.map(v => `${v.level} ${v.msg[0]}`), ["WARN Written", "DEBUG First", "INFO Second", "ERROR Failed", "ERROR Again"]);
+    assert.throws(() => createLoggerFactory({ type: "MEMORY", dumpTo: 0 }), /dumpTo/);
+    assert.throws(() => createLoggerFactory({ type: "STDOUT" }).getMemory(), /no MEMORY target/);
+});
+
+await test("Console output and process errors can be captured", async () => {
+    const captured = [];
+    const captureFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => captured.push(JSON.parse(v)), style: "JSON" },
+        { type: "FUNCTION", function: v => console.log("echo", v.length), style: "JSON" },
+        {
+            type: "FUNCTION",
+            function: async v => {
+                await new Promise(res => setTimeout(res, 1));
+                console.log("delayed echo", v.length);
+            },
+            style: "JSON"
+        }
+    ]);
+    const restoreConsole = captureFactory.captureConsole();
+    console.log("Logged", 1);
+    console.error("Failed");
+    console.debug("Debugged");
+    await new Promise(res => setTimeout(res, 50));
+    restoreConsole();
+    console.log("Restored");
+
+    const logger = captureFactory.createLogger("process");
+    const restoreErrors = captureFactory.captureProcessErrors(logger, { exit: false });
+    process.emit("uncaughtException", new Error("Thrown"), "uncaughtException");
+    process.emit("unhandledRejection", "Rejected", Promise.resolve());
+    restoreErrors();
+    assert.strictEqual(process.listenerCount("uncaughtException"), 0);
+    await captureFactory.close();
+
+    assert.deepStrictEqual(captured.map(v => `${v.level} ${v.component} ${v.msg[0]}`), [
+        "INFO console Logged",
+        "ERROR console Failed",
+        "DEBUG console Debugged",
+        "FATAL process Uncaught exception:",
+        "FATAL process Unhandled rejection:"
+    ]);
+    assert.strictEqual(captured[3].msg[1].message, "Thrown");
+    assert.strictEqual(captured[4].msg[1], "Rejected");
+});
+
+await test("Stream targets accept any Writable and handle backpressure", async () => {
+    const chunks = [];
+    const createSlowStream = () => new Writable({
+        highWaterMark: 8,
+        write(chunk, encoding, callback) {
+            setTimeout(() => {
+                chunks.push(chunk.toString());
+                callback();
+            }, 5);
+        }
+    });
+    const blockFactory = createLoggerFactory({ type: "STREAM", stream: createSlowStream(), style: "JSON", overflow: "BLOCK" });
+    const blockLogger = blockFactory.createLogger("block");
+    const first = blockLogger.info("First");
+    let secondWritten = false;
+    const second = blockLogger.info("Second").then(() => secondWritten = true);
+    await new Promise(res => setImmediate(res));
+    assert(!secondWritten);
+    await Promise.all([first, second]);
+    await blockFactory.close();
+    assert.deepStrictEqual(chunks.map(v => JSON.parse(v).msg[0]), ["First", "Second"]);
+
+    // entries blocked because other code filled the stream are released once it drains
+    chunks.length = 0;
+    const sharedStream = createSlowStream();
+    const sharedFactory = createLoggerFactory({ type: "STREAM", stream: sharedStream, style: "JSON", overflow: "BLOCK", highWaterMark: 16 });
+    sharedStream.write("x".repeat(64));
+    await sharedFactory.createLogger("shared").info("After foreign write");
+    await sharedFactory.close();
+    assert.deepStrictEqual(chunks.slice(1).map(v => JSON.parse(v).msg[0]), ["After foreign write"]);
+
+    const closedStream = new Writable({ highWaterMark: 8, write() { } });
+    const closedFactory = createLoggerFactory({ type: "STREAM", stream: closedStream, style: "JSON", overflow: "BLOCK", errorPolicy: "THROW" });
+    closedStream.write("x".repeat(64));
+    const blocked = closedFactory.createLogger("closed").info("Never written");
+    closedStream.destroy();
+    await assert.rejects(blocked, /Stream has been closed/);
+    closedFactory.destroy();
+
+    chunks.length = 0;
+    const dropFactory = createLoggerFactory({ type: "STREAM", stream: createSlowStream(), style: "JSON", overflow: "DROP", highWaterMark: 1 });
+    const dropLogger = dropFactory.createLogger("drop");
+    await Promise.all([dropLogger.info("Kept"), dropLogger.info("Dropped")]);
+    await dropLogger.info("Later");
+    await dropFactory.close();
+    assert.deepStrictEqual(chunks.map(v => JSON.parse(v).msg[0]), ["Kept", "Later"]);
+
+    const passThrough = new PassThrough();
+    const stderrFactory = createLoggerFactory([{ type: "STREAM", stream: passThrough }, { type: "STREAM", stream: process.stderr, logLevel: "FATAL" }, { type: "STDERR", logLevel: "FATAL" }]);
+    await stderrFactory.createLogger("pass").info("Piped");
+    await stderrFactory.close();
+    assert.match(passThrough.read().toString(), /\[INFO\] \[pass\] Piped\n$/);
+    assert.throws(() => createLoggerFactory({ type: "STREAM", stream: {} }), /must be a Writable/);
+    assert.throws(() => createLoggerFactory({ type: "STREAM", stream: passThrough, overflow: "SPILL" }), /overflow policy/);
+});
+
+await test("The viewer prints and filters JSON logs", async () => {
+    const viewFactory = createLoggerFactory({ type: "FILE", path: "./test/out/view.log", style: "JSON" });
+    const logger = viewFactory.createLogger("view", "cli");
+    await logger.debug("Debugging");
+    await viewFactory.createLogger("other").warn("Warning", { code: 42 });
+    await logger.error("Failed", new Error("Broken"));
+    await viewFactory.createLogger("net").info("user %s took %dms", "bob", 5);
+    const viewTimer = viewFactory.createLogger("timer");
+    viewTimer.time("query");
+    await viewTimer.timeEnd("query");
+    await viewFactory.close();
+    writeFileSync("./test/out/view.log.1.gz", gzipSync(JSON.stringify({ timestamp: "2020-01-01T00:00:00.000Z", level: "INFO", component: "view", source: null, msg: ["Rotated"] }) + "\n"));
+
+    const view = (args, input) => spawnSync(process.execPath, ["./bin/easy-node-logging.js", "view", ...args], { input, encoding: "utf-8", timeout: 10000 });
+    const all = view(["./test/out/view.log", "--no-color"]);
+    assert.strictEqual(all.status, 0);
+    assert.match(all.stdout, /^\[.*\] \[INFO\] \[view\] Rotated\n\[.*\] \[DEBUG\] \[view\/cli\] Debugging\n\[.*\] \[WARN\] \[other\] Warning \{ code: 42 \}\n\[.*\] \[ERROR\] \[view\/cli\] Failed Error: Broken\n\[.*\] \[ERROR\] \[view\/cli\]     at /);
+    assert.match(all.stdout, /\n\[.*\] \[INFO\] \[net\] user bob took 5ms\n\[.*\] \[INFO\] \[timer\] query \(\d+\.\d\dms\)\n$/);
+
+    const filtered = view(["./test/out/view.log", "--level", "WARN", "--component", "view/*", "--since", "1h", "--json"]);
+    assert.deepStrictEqual(filtered.stdout.trim().split("\n").map(v => JSON.parse(v).msg[0]), ["Failed"]);
+    const grepped = view(["--regex", "Warn|Debug", "--no-color"], readFileSync("./test/out/view.log", "utf-8"));
+    assert.strictEqual(grepped.stdout.trim().split("\n").length, 2);
+    assert.strictEqual(view(["--level", "LOUD"]).status, 2);
+
+    writeFileSync("./test/out/follow.log", "initial\n");
+    const follower = spawn(process.execPath, ["./bin/easy-node-logging.js", "view", "--follow", "--no-rotated", "./test/out/follow.log"]);
+    let followed = "";
+    let followErrors = "";
+    follower.stdout.on("data", chunk => followed += chunk);
+    follower.stderr.on("data", chunk => followErrors += chunk);
+    const exited = new Promise(res => follower.on("exit", res));
+    const waitFor = async condition => {
+        for (let i = 0; i < 100 && !condition(); i++)
+            await new Promise(res => setTimeout(res, 20));
+    };
+    try {
+        await waitFor(() => followed.includes("initial"));
+        // lines appended right before a rotation are read from the rotated file
+        appendFileSync("./test/out/follow.log", "before rotation\n");
+        renameSync("./test/out/follow.log", "./test/out/follow.log.1");
+        writeFileSync("./test/out/follow.log", "after rotation\n");
+        await waitFor(() => followed.includes("after rotation"));
+        assert.deepStrictEqual(followed.trim().split("\n"), ["initial", "before rotation", "after rotation"]);
+        rmSync("./test/out/follow.log");
+        mkdirSync("./test/out/follow.log");
+        await waitFor(() => follower.exitCode !== null);
+        assert.match(followErrors, /^easy-node-logging: EISDIR/);
+    } finally {
+        follower.kill();
+        rmSync("./test/out/follow.log", { recursive: true, force: true });
+    }
+    assert.strictEqual(await exited, 1);
+});
+
+await test("Server targets stream entries to authorized clients", async () => {
+    const serverFactory = createLoggerFactory({ type: "SERVER", port: 8084, token: "secret" });
+    const logger = serverFactory.createLogger("server", "live");
+    const connect = path => new Promise((resolve, reject) => httpGet(`http://127.0.0.1:8084${path}`, { headers: { authorization: "Bearer secret" } }, resolve).on("error", reject));
+    const unauthorized = await new Promise(res => httpGet("http://127.0.0.1:8084/?token=wrong", res));
+    unauthorized.resume();
+    assert.strictEqual(unauthorized.statusCode, 401);
+
+    const ndjson = await connect("/?level=warn&component=server/*");
+    const sse = await connect("/?format=sse");
+    assert.strictEqual(ndjson.headers["content-type"], "application/x-ndjson");
+    assert.strictEqual(sse.headers["content-type"], "text/event-stream");
+    const received = { ndjson: "", sse: "" };
+    ndjson.on("data", chunk => received.ndjson += chunk);
+    sse.on("data", chunk => received.sse += chunk);
+    const closed = new Promise(res => ndjson.on("close", res));
+
+    await logger.info("Filtered");
+    await logger.warn("Streamed");
+    await serverFactory.createLogger("other").error("Other");
+    await new Promise(res => setTimeout(res, 50));
+    serverFactory.destroy();
+    await closed;
+
+    assert.deepStrictEqual(received.ndjson.trim().split("\n").map(v => JSON.parse(v).msg[0]), ["Streamed"]);
+    assert.deepStrictEqual(received.sse.trim().split("\n\n").map(v => JSON.parse(v.replace(/^data: /, "")).msg[0]), ["Filtered", "Streamed", "Other"]);
+    assert.throws(() => createLoggerFactory({ type: "SERVER" }), /port/);
+});
+
+await test("Messages are interpolated and lazy arguments evaluated on demand", async () => {
+    const text = [];
+    const json = [];
+    const formatFactory = createLoggerFactory([
+        { type: "FUNCTION", function: v => text.push(v), logLevel: "INFO" },
+        { type: "FUNCTION", function: v => json.push(JSON.parse(v)), style: "JSON", logLevel: "INFO" }
+    ]);
+    const logger = formatFactory.createLogger("format");
+    let evaluated = 0;
+    const expensive = () => {
+        evaluated++;
+        return { payload: true };
+    };
+    await logger.info("user %s took %dms (%j) 100%%", "bob", 42.5, { ok: 1 }, "extra");
+    await logger.info("no placeholders", 5);
+    await logger.debug("Skipped", lazy(expensive));
+    await logger.info("Computed", lazy(expensive));
+    await logger.info("Callback", expensive);
+    await logger.info("100%%");
+    await formatFactory.close();
+
+    assert.match(text[0], /\] user bob took 42.5ms \({"ok":1}\) 100% extra$/);
+    assert.match(text[1], /\] no placeholders 5$/);
+    assert.deepStrictEqual(json[0].msg, ["user %s took %dms (%j) 100%%", "bob", 42.5, { ok: 1 }, "extra"]);
+    assert.strictEqual(json[0].message, "user bob took 42.5ms ({\"ok\":1}) 100% extra");
+    assert(!("message" in json[1]));
+    assert.strictEqual(evaluated, 1);
+    assert.deepStrictEqual(json[2].msg, ["Computed", { payload: true }]);
+    assert.match(text[3], /\] Callback \[Function: expensive\]$/);
+    assert.match(text[4], /\] 100%$/);
+    assert.throws(() => lazy("value"), /Expected fn to be a function/);
+    assert(createLoggerFactory({ type: "STDOUT", logLevel: "INFO" }).createLogger("x").isLevelEnabled("INFO"));
+    assert(!createLoggerFactory({ type: "STDOUT", logLevel: "INFO" }).createLogger("x").isLevelEnabled("DEBUG"));
+});
+
+await test("Factories report target health and counters", async () => {
+    let failing = true;
+    const events = [];
+    const statsFactory = createLoggerFactory([
+        { type: "FUNCTION", name: "flaky", function: () => { if (failing) throw new Error("Unavailable"); }, errorPolicy: "IGNORE" },
+        { type: "FUNCTION", name: "sampled", function: () => null, sample: { INFO: 0 } }
+    ]);
+    for (const event of ["error", "drop", "targetDown", "targetUp"])
+        statsFactory.on(event, (...args) => events.push([event, ...args]));
+    const logger = statsFactory.createLogger("stats");
+    await logger.info("First");
+    await logger.info("Second");
+    failing = false;
+    await logger.warn("Third");
+    statsFactory.setLevel("ERROR", { target: "flaky" });
+    await logger.warn("Filtered");
+
+    const [flaky, sampled] = statsFactory.stats();
+    assert.deepStrictEqual([flaky.target, flaky.name, flaky.written, flaky.failures, flaky.dropped, flaky.up], [0, "flaky", 1, 2, 0, true]);
+    assert.strictEqual(flaky.lastError.message, "Unavailable");
+    assert(flaky.bytes > 0 && flaky.averageLatency >= 0);
+    assert.deepStrictEqual([sampled.written, sampled.dropped], [2, 2]);
+    assert(Number.isFinite(sampled.averageLatency) && sampled.averageLatency >= 0, `invalid average latency ${sampled.averageLatency}`);
+    assert.deepStrictEqual(events.map(v => `${v[0]} ${v[0] === "error" ? v[2].name : v[1].name} ${v[0] === "drop" ? v[1].reason : ""}`.trim()), [
+        "drop sampled SAMPLE",
+        "targetDown flaky",
+        "error flaky",
+        "drop sampled SAMPLE",
+        "error flaky",
+        "targetUp flaky"
+    ]);
+    await statsFactory.close();
+    assert.throws(() => createLoggerFactory([{ type: "STDOUT", name: "a" }, { type: "STDOUT", name: "a" }]), /unique/);
+});
+
+await test("Sync targets write before the log function returns and timers log durations", async () => {
+    const syncFactory = createLoggerFactory([
+        { type: "FILE", path: "./test/out/sync.log", style: "JSON", sync: true },
+        { type: "FILE", path: "./test/out/async.log" }
+    ]);
+    const logger = syncFactory.createLogger("sync");
+    logger.info("Written immediately");
+    logger.fatalSync("Exiting");
+    const written = readFileSync("./test/out/sync.log", "utf-8").trim().split("\n").map(v => JSON.parse(v));
+    assert.deepStrictEqual(written.map(v => `${v.level} ${v.msg[0]}`), ["INFO Written immediately", "FATAL Exiting"]);
+
+    logger.time("query");
+    await new Promise(res => setTimeout(res, 20));
+    const warning = new Promise(res => process.once("warning", res));
+    logger.time("query");
+    assert.match((await warning).message, /Timer 'query' already exists/);
+    await logger.timeEnd("query", "DEBUG");
+    const done = logger.startTimer();
+    await done({ message: "Request handled", route: "/users" });
+    assert.throws(() => logger.timeEnd("query"), /No timer named 'query'/);
+    await syncFactory.close();
+
+    const entries = readFileSync("./test/out/sync.log", "utf-8").trim().split("\n").map(v => JSON.parse(v));
+    assert.strictEqual(entries[2].level, "DEBUG");
+    assert.deepStrictEqual(entries[2].msg, ["query"]);
+    assert(entries[2].durationMs >= 15);
+    assert.strictEqual(entries[3].route, "/users");
+    assert.strictEqual(typeof entries[3].durationMs, "number");
+    const text = readFileSync("./test/out/async.log", "utf-8").trim().split("\n");
+    // fatalSync skips async targets
+    assert.strictEqual(text.length, 3);
+    assert.match(text[1], /\[DEBUG\] \[sync\] query \(\d+\.\d\dms\)$/);
+    assert.match(text[2], /\[INFO\] \[sync\] route=\/users Request handled \(\d+\.\d\dms\)$/);
+    assert.throws(() => createLoggerFactory({ type: "FILE", path: "./test/out/sync.log", sync: true, rotate: { maxSize: 10 } }), /cannot rotate/);
+});